@@ -0,0 +1,12 @@
+#version 300 es
+precision highp float;
+
+// Resamples a scene texture into one layer of the texture atlas (see WebGLRenderer.createTextureAtlas)
+uniform sampler2D uSource;
+uniform vec2 uSize; // size of the atlas layer being written
+
+out vec4 outColor;
+
+void main() {
+    outColor = vec4(texture(uSource, gl_FragCoord.xy / uSize).rgb, 1.0);
+}
@@ -0,0 +1,12 @@
+#version 300 es
+precision highp float;
+
+// Copies the progressive average (rendered by test.frag into a float texture) to the canvas
+uniform sampler2D uImage;
+
+out vec4 outColor;
+
+void main() {
+    vec3 color = texelFetch(uImage, ivec2(gl_FragCoord.xy), 0).rgb;
+    outColor = vec4(color, 1.0);
+}
@@ -11,6 +11,13 @@ uniform vec2  uResolution;
 uniform vec3 uCameraPos;
 uniform mat4 uCamWorldMatrix;
 
+// Thin lens camera (uAperture = 0 is a pinhole)
+uniform vec3  uCameraLook;  // unit view direction
+uniform vec3  uCameraUp;    // unit camera up, orthogonal to uCameraLook
+uniform vec3  uCameraRight; // unit camera right
+uniform float uAperture;    // lens diameter
+uniform float uFocalLength; // distance from the lens to the plane in focus
+
 // Global material coefficients
 uniform float uGlobalKa;
 uniform float uGlobalKd;
@@ -23,23 +30,45 @@ uniform int       uObjectCount;     // number of objects (rows in texture)
 uniform int       uFloatsPerRow; // floats per row (32-bit floats)
 uniform int       uSceneTexWidth;   // texture width = ceil(floatsPerObject/4)
 uniform int       uSceneTexHeight;  // texture height = objectCount
-uniform sampler2D uTextures[8]; // up to 8 distince textures if needed 
-
-// Light data arrays
-// NOTE: not all fields are useful
-uniform int   uNumLights;
-uniform int   uLightType[16];
-uniform vec3  uLightColor[16];
-uniform vec3  uLightPos[16];
-uniform vec3  uLightDir[16];
-uniform float uLightRadius[16];
-uniform float uLightPenumbra[16];
-uniform float uLightAngle[16];
-uniform float uLightWidth[16];
-uniform float uLightHeight[16];
+uniform highp sampler2DArray uTextureAtlas; // one layer per scene texture, see WebGLRenderer.createTextureAtlas
+
+// Triangle data for SHAPE_MESH objects, see SceneFlattener.packMeshes
+uniform sampler2D uMeshBuffer;
+uniform int       uMeshTexWidth; // texels per row of uMeshBuffer
+
+// Bounding volume hierarchy over the objects, see SceneFlattener.buildBVH
+uniform sampler2D uBVHBuffer;
+uniform int       uBVHTexWidth;    // texels per row of uBVHBuffer
+uniform int       uBVHIndexStart;  // texel where the object index list starts
+uniform bool      uUseBVH;         // false: test every object (debug fallback)
+
+// Lights, LIGHT_TEXELS texels each, then the emissive object list; see SceneFlattener.packLights
+uniform sampler2D uLightBuffer;
+uniform int       uLightTexWidth;  // texels per row of uLightBuffer
+uniform int       uNumLights;
+
+// Emissive objects, sampled as lights by the stochastic (progressive) path
+uniform bool uSampleEmissive;
+uniform int  uEmissiveStart;       // texel of the first emissive object index in uLightBuffer
+uniform int  uEmissiveCount;
 
 uniform int uMaxDepth; // maximum recursion depth for reflections 
 
+uniform int uAreaLightSamples; // shadow rays per area light per shading point
+uniform int uFrameIndex;       // seeds the per-pixel random numbers
+
+// Progressive accumulation
+uniform sampler2D uAccumBuffer; // running average of the previous samples
+uniform int       uSampleCount; // samples already in uAccumBuffer, 0 starts over
+uniform vec2      uJitter;      // subpixel offset of this sample's camera rays, in pixels
+
+// Tiled export: this draw covers the tile at uTileOffset of a uResolution image
+uniform vec2 uTileOffset;       // pixel offset of the tile, (0, 0) for the live view
+
+// debug views, one of DEBUG_*
+uniform int   uDebugView;
+uniform float uFarPlane;        // depth view: distance shown as black
+
 // constants
 const float EPSILON = 1e-3;
 const float PI = 3.141592653589793;
@@ -51,6 +80,46 @@ const int SHAPE_CUBE = 0;
 const int SHAPE_CYLINDER = 1;
 const int SHAPE_CONE = 2;
 const int SHAPE_SPHERE = 3;
+const int SHAPE_MESH = 7;
+
+const int LIGHT_POINT = 0;
+const int LIGHT_DIRECTIONAL = 1;
+const int LIGHT_SPOT = 2;
+const int LIGHT_AREA = 3;
+
+// Per-object row layout (floats), must match SceneFlattener._buildDataArray
+const int OFFSET_TYPE           = 0;
+const int OFFSET_WORLD_MATRIX   = 1;  // 16 floats, row-major
+const int OFFSET_INVERSE_MATRIX = 17; // 16 floats, row-major world-to-object
+const int OFFSET_NORMAL_MATRIX  = 33; // 9 floats, row-major transpose(inverse) 3x3
+const int OFFSET_MATERIAL       = 42; // 21 floats
+const int OFFSET_MESH_INDEX     = 63;
+const int OFFSET_BUMP_MAP       = 64; // 6 floats: use, texture index, repeat u/v, format, strength
+const int OFFSET_BLEND          = 70; // texture weight against the diffuse color
+const int OFFSET_EMISSIVE       = 71; // 3 floats, emitted radiance
+
+// Light layout in uLightBuffer, must match SceneFlattener.packLights
+const int LIGHT_TEXELS = 5;
+
+const float BUMP_HEIGHT = 0.0;   // bump map formats
+const float BUMP_NORMAL = 1.0;
+const float UV_DELTA = 1e-3;     // object space step for numeric uv tangents
+
+const int BVH_STACK_SIZE = 32;
+const int RAY_STACK_SIZE = 16;    // pending reflected/refracted rays in traceRay
+const int MAX_SHADOW_HITS = 4;    // transparent surfaces a shadow ray may pass through
+const float MIN_RAY_WEIGHT = 1e-3; // rays contributing less than this are dropped
+
+const int DEBUG_NONE       = 0;   // regular shading
+const int DEBUG_HIT        = 1;   // white where the primary ray hits anything
+const int DEBUG_DEPTH      = 2;   // hit distance, white near, black at uFarPlane
+const int DEBUG_NORMAL     = 3;   // world space geometric normal as 0.5 * n + 0.5
+const int DEBUG_OBJECT_ID  = 4;   // a false color per object
+const int DEBUG_UV         = 5;   // texture coordinates, fract(u) red, fract(v) green
+const int DEBUG_TEST_COUNT = 6;   // intersection tests per primary ray as a heatmap
+const int DEBUG_SHADOW     = 7;   // fraction of the lights that reach the hit point
+const int DEBUG_PICK       = 8;   // (object index, hit distance, 0), index -1 on a miss, see WebGLRenderer.pick
+const float DEBUG_HEAT_MAX = 128.0; // test count shown as full red
 
 
 // TODO: This should be your output color, instead of gl_FragColor
@@ -58,6 +127,24 @@ out vec4 outColor;
 
 /*********** Helper Functions **********/
 
+// ----------------------------------------------
+// random numbers: a PCG hash per pixel, seeded once in main()
+uint rngState = 0u;
+
+void initRandom() {
+    uvec2 pixel = uvec2(gl_FragCoord.xy + uTileOffset);
+    rngState = pixel.x * 1973u + pixel.y * 9277u + uint(uFrameIndex) * 26699u;
+    rngState |= 1u;
+}
+
+// random: uniform float in [0, 1)
+float random() {
+    rngState = rngState * 747796405u + 2891336453u;
+    uint word = ((rngState >> ((rngState >> 28u) + 4u)) ^ rngState) * 277803737u;
+    word = (word >> 22u) ^ word;
+    return float(word >> 8u) / 16777216.0; // top 24 bits, exact in a float
+}
+
 // ----------------------------------------------
 // fetchFloat: retrieve a single float from uSceneBuffer
 // idx = index of that float within the object's flattened data
@@ -78,15 +165,10 @@ float fetchFloat(int idx, int row) {
 }
 
 // ----------------------------------------------
-// fetchWorldMatrix: reconstruct a 4×4 world transform matrix for object idx
-// Each object stores 1 type float + 16 matrix floats + 12 material floats, total = uFloatsPerRow
-mat4 fetchWorldMatrix(int idx) {
+// fetchMatrix4: reconstruct a row-major 4×4 matrix stored at base for object idx
+mat4 fetchMatrix4(int base, int idx) {
     mat4 M = mat4(1.0);
 
-    // Base index in flattened array for this object
-    int base = 1;
-    // +1 skips the type code; next 16 floats are the world matrix in row-major order
-
     // Loop over rows and columns to assemble the mat4 (column-major in GLSL)
     for (int r = 0; r < 4; ++r) {
         for (int c = 0; c < 4; ++c) {
@@ -97,8 +179,29 @@ mat4 fetchWorldMatrix(int idx) {
     return M;
 }
 
+// fetchWorldMatrix: object-to-world transform for object idx
+mat4 fetchWorldMatrix(int idx) {
+    return fetchMatrix4(OFFSET_WORLD_MATRIX, idx);
+}
+
+// fetchInverseMatrix: world-to-object transform, precomputed by SceneFlattener
+mat4 fetchInverseMatrix(int idx) {
+    return fetchMatrix4(OFFSET_INVERSE_MATRIX, idx);
+}
+
+// fetchNormalMatrix: transpose(inverse(world)) for transforming normals to world space
+mat3 fetchNormalMatrix(int idx) {
+    mat3 N = mat3(1.0);
+    for (int r = 0; r < 3; ++r) {
+        for (int c = 0; c < 3; ++c) {
+            N[c][r] = fetchFloat(OFFSET_NORMAL_MATRIX + r * 3 + c, idx);
+        }
+    }
+    return N;
+}
+
 // ----------------------------------------------
-// Material struct to hold 12 floats of material data
+// Material struct to hold 21 floats of material data, plus the bump map
 struct Material {
     vec3 ambientColor;
     vec3 diffuseColor;
@@ -108,15 +211,33 @@ struct Material {
     float useTexture;
     vec2 repeatUV;
     float textureIndex;
+    float blend;        // 0: diffuse color only, 1: texture only
     vec3 reflectiveColor;
+    vec3 transparentColor;
+    vec3 emissiveColor;
+
+    float useBump;
+    float bumpIndex;
+    vec2 bumpRepeatUV;
+    float bumpFormat;   // BUMP_HEIGHT or BUMP_NORMAL
+    float bumpStrength;
 };
 
+// fetchEmissive: emitted radiance of object idx, black for most objects
+vec3 fetchEmissive(int idx) {
+    return vec3(
+      fetchFloat(OFFSET_EMISSIVE + 0, idx),
+      fetchFloat(OFFSET_EMISSIVE + 1, idx),
+      fetchFloat(OFFSET_EMISSIVE + 2, idx)
+    );
+}
+
 // fetchMaterial: reconstruct the material attributes for object idx
 Material fetchMaterial(int idx) {
     Material mat;
 
-    // Base index for material data: skip type (1) + matrix (16)
-    int base = 1 + 16;
+    // Base index for material data: skip type and matrices
+    int base = OFFSET_MATERIAL;
 
     mat.ambientColor.r  = fetchFloat(base + 0,  idx);
     mat.ambientColor.g  = fetchFloat(base + 1,  idx);
@@ -137,6 +258,7 @@ Material fetchMaterial(int idx) {
     mat.repeatUV.x      = fetchFloat(base + 12, idx);
     mat.repeatUV.y      = fetchFloat(base + 13, idx);
     mat.textureIndex    = fetchFloat(base + 14, idx);
+    mat.blend           = fetchFloat(OFFSET_BLEND, idx);
 
     mat.reflectiveColor = vec3(
       fetchFloat(base + 15, idx),
@@ -144,9 +266,96 @@ Material fetchMaterial(int idx) {
       fetchFloat(base + 17, idx)
     );
 
+    mat.transparentColor = vec3(
+      fetchFloat(base + 18, idx),
+      fetchFloat(base + 19, idx),
+      fetchFloat(base + 20, idx)
+    );
+
+    mat.emissiveColor = fetchEmissive(idx);
+
+    mat.useBump         = fetchFloat(OFFSET_BUMP_MAP + 0, idx);
+    mat.bumpIndex       = fetchFloat(OFFSET_BUMP_MAP + 1, idx);
+    mat.bumpRepeatUV.x  = fetchFloat(OFFSET_BUMP_MAP + 2, idx);
+    mat.bumpRepeatUV.y  = fetchFloat(OFFSET_BUMP_MAP + 3, idx);
+    mat.bumpFormat      = fetchFloat(OFFSET_BUMP_MAP + 4, idx);
+    mat.bumpStrength    = fetchFloat(OFFSET_BUMP_MAP + 5, idx);
+
     return mat;
 }
 
+// fetchMeshIndex: which mesh in uMeshBuffer a SHAPE_MESH object uses
+int fetchMeshIndex(int idx) {
+    return int(fetchFloat(OFFSET_MESH_INDEX, idx));
+}
+
+// ----------------------------------------------
+// Light struct, one light of uLightBuffer
+struct Light {
+    int type;
+    vec3 color;
+    vec3 pos;
+    vec3 dir;
+    float radius;
+    float penumbra;     // spot: width of the soft edge inside angle (radians)
+    float angle;        // spot: outer half angle (radians)
+    float width;        // area
+    float height;       // area
+    vec3 function;      // constant, linear, quadratic attenuation coefficients
+};
+
+vec4 fetchLightTexel(int i) {
+    return texelFetch(uLightBuffer, ivec2(i % uLightTexWidth, i / uLightTexWidth), 0);
+}
+
+// fetchLight: unpack light i
+Light fetchLight(int i) {
+    int base = i * LIGHT_TEXELS;
+    vec4 t0 = fetchLightTexel(base);
+    vec4 t1 = fetchLightTexel(base + 1);
+    vec4 t2 = fetchLightTexel(base + 2);
+    vec4 t3 = fetchLightTexel(base + 3);
+    vec4 t4 = fetchLightTexel(base + 4);
+
+    Light L;
+    L.type = int(t0.x);
+    L.color = t0.yzw;
+    L.pos = t1.xyz;
+    L.radius = t1.w;
+    L.dir = t2.xyz;
+    L.penumbra = t2.w;
+    L.angle = t3.x;
+    L.width = t3.y;
+    L.height = t3.z;
+    L.function = t4.xyz;
+    return L;
+}
+
+// fetchEmissiveObject: object index of the k-th emissive object
+int fetchEmissiveObject(int k) {
+    return int(fetchLightTexel(uEmissiveStart + k).x);
+}
+
+// fetchBVHTexel: read texel i of the linearly laid out BVH buffer
+vec4 fetchBVHTexel(int i) {
+    return texelFetch(uBVHBuffer, ivec2(i % uBVHTexWidth, i / uBVHTexWidth), 0);
+}
+
+// fetchBVHIndex: entry k of the BVH object index list
+int fetchBVHIndex(int k) {
+    vec4 texel = fetchBVHTexel(uBVHIndexStart + k / 4);
+    int channel = k - (k / 4) * 4;
+    if (channel == 0) return int(texel.r);
+    if (channel == 1) return int(texel.g);
+    if (channel == 2) return int(texel.b);
+    return int(texel.a);
+}
+
+// fetchMeshTexel: read texel i of the linearly laid out mesh buffer
+vec4 fetchMeshTexel(int i) {
+    return texelFetch(uMeshBuffer, ivec2(i % uMeshTexWidth, i / uMeshTexWidth), 0);
+}
+
 // ----------------------------------------------
 // intersectSphere: ray-sphere intersection in object space
 // Sphere is centered at origin with radius = 0.5
@@ -324,6 +533,115 @@ vec3 normalCylinder(vec3 hitPos) {
     }
 }
 
+// box, object and triangle tests so far, for the DEBUG_TEST_COUNT view
+int isectTests = 0;
+
+// ----------------------------------------------
+// intersectTriangle: Moller-Trumbore ray-triangle intersection
+// returns t and writes the barycentric coordinates of v1 and v2 into bary
+float intersectTriangle(vec3 ro, vec3 rd, vec3 v0, vec3 v1, vec3 v2, out vec2 bary) {
+    isectTests++;
+    vec3 e1 = v1 - v0;
+    vec3 e2 = v2 - v0;
+    vec3 p = cross(rd, e2);
+    float det = dot(e1, p);
+    if (abs(det) < 1e-9) return -1.0; // ray parallel to triangle
+
+    float invDet = 1.0 / det;
+    vec3 s = ro - v0;
+    float u = dot(s, p) * invDet;
+    if (u < 0.0 || u > 1.0) return -1.0;
+
+    vec3 q = cross(s, e1);
+    float v = dot(rd, q) * invDet;
+    if (v < 0.0 || u + v > 1.0) return -1.0;
+
+    float t = dot(e2, q) * invDet;
+    if (t <= 0.0) return -1.0;
+    bary = vec2(u, v);
+    return t;
+}
+
+// boxDistance: entry distance of a ray into an axis aligned box, INF on a miss
+// invDir = 1.0 / rd, precomputed by the caller since it is shared by all nodes
+float boxDistance(vec3 ro, vec3 invDir, vec3 bmin, vec3 bmax) {
+    vec3 t0 = (bmin - ro) * invDir;
+    vec3 t1 = (bmax - ro) * invDir;
+    vec3 tmin = min(t0, t1);
+    vec3 tmax = max(t0, t1);
+    float tNear = max(max(tmin.x, tmin.y), tmin.z);
+    float tFar = min(min(tmax.x, tmax.y), tmax.z);
+    if (tNear > tFar || tFar < 0.0) return INF;
+    return max(tNear, 0.0);
+}
+
+// set by intersectMesh for the closest triangle it found
+int  meshHitTri = -1;
+vec2 meshHitBary = vec2(0.0);
+
+// intersectMesh: closest triangle of mesh meshIndex, in object space
+// walks the mesh's triangle BVH like closestHit walks the objects (see SceneFlattener.packMeshes)
+float intersectMesh(vec3 ro, vec3 rd, int meshIndex) {
+    vec4 header = fetchMeshTexel(meshIndex * 3);
+    int triStart = int(header.x);
+    int bvhStart = int(header.z);
+
+    vec3 invDir = 1.0 / rd;
+    float t = INF;
+    int stack[BVH_STACK_SIZE];
+    int sp = 0;
+    stack[sp++] = 0; // root
+    while (sp > 0) {
+        int node = bvhStart + stack[--sp] * 2;
+        vec4 a = fetchMeshTexel(node);
+        vec4 b = fetchMeshTexel(node + 1);
+        isectTests++;
+
+        // skip boxes that are missed or farther than the closest triangle so far
+        if (boxDistance(ro, invDir, a.xyz, b.xyz) >= t) continue;
+
+        if (b.w >= 0.0) {
+            // leaf: test its triangles
+            int first = int(a.w);
+            int count = int(b.w);
+            for (int k = 0; k < count; k++) {
+                int base = triStart + (first + k) * 6;
+                vec3 v0 = fetchMeshTexel(base).xyz;
+                vec3 v1 = fetchMeshTexel(base + 2).xyz;
+                vec3 v2 = fetchMeshTexel(base + 4).xyz;
+                vec2 bary;
+                float tempT = intersectTriangle(ro, rd, v0, v1, v2, bary);
+                if (tempT > 0.0 && tempT < t) {
+                    t = tempT;
+                    meshHitTri = base;
+                    meshHitBary = bary;
+                }
+            }
+        } else if (sp + 2 <= BVH_STACK_SIZE) {
+            // interior: visit the child on the near side of the split first
+            int left = int(a.w);
+            int axis = int(-b.w) - 1;
+            bool dirNeg = (axis == 0) ? rd.x < 0.0 : (axis == 1) ? rd.y < 0.0 : rd.z < 0.0;
+            if (dirNeg) {
+                stack[sp++] = left;
+                stack[sp++] = left + 1;
+            } else {
+                stack[sp++] = left + 1;
+                stack[sp++] = left;
+            }
+        }
+    }
+    return (t == INF) ? -1.0 : t;
+}
+
+// normalMesh: interpolated vertex normal; tri is the texel index of the triangle
+vec3 normalMesh(int tri, vec2 bary) {
+    vec3 n0 = fetchMeshTexel(tri + 1).xyz;
+    vec3 n1 = fetchMeshTexel(tri + 3).xyz;
+    vec3 n2 = fetchMeshTexel(tri + 5).xyz;
+    return normalize((1.0 - bary.x - bary.y) * n0 + bary.x * n1 + bary.y * n2);
+}
+
 // ----------------------------------------------
 // intersectCone: ray-cone intersection in object space
 float intersectCone(vec3 ro, vec3 rd) {
@@ -398,7 +716,7 @@ vec3 normalCone(vec3 hitPos) {
 
 // funnel for intersecting different object types
 float intersect(vec3 ro, vec3 rd, int idx) {
-    int type = int(fetchFloat(0, idx));
+    int type = int(fetchFloat(OFFSET_TYPE, idx));
 
     switch (type) {
         case SHAPE_CUBE: {
@@ -421,6 +739,11 @@ float intersect(vec3 ro, vec3 rd, int idx) {
             if (t != -1.0) return t;
             break;
         }
+        case SHAPE_MESH: {
+            float t = intersectMesh(ro, rd, fetchMeshIndex(idx));
+            if (t != -1.0) return t;
+            break;
+        }
         default:
             break;
     }
@@ -428,9 +751,19 @@ float intersect(vec3 ro, vec3 rd, int idx) {
     return INF;
 }
 
+// closest intersection along a ray, everything needed to shade it
+struct Hit {
+    float t;        // INF on a miss
+    int objectID;   // -1 on a miss
+    vec3 hitPosObj; // hit position in object space
+    int tri;        // SHAPE_MESH only: texel index of the triangle that was hit
+    vec2 bary;      // SHAPE_MESH only: barycentric coordinates on that triangle
+};
+
 // funnel for intersecting different object types
-vec3 getNormal(vec3 hitPos, int idx) {
-    int type = int(fetchFloat(0, idx));
+vec3 getNormal(Hit hit) {
+    vec3 hitPos = hit.hitPosObj;
+    int type = int(fetchFloat(OFFSET_TYPE, hit.objectID));
 
     switch (type) {
         case SHAPE_CUBE: {
@@ -445,6 +778,9 @@ vec3 getNormal(vec3 hitPos, int idx) {
         case SHAPE_CONE: {
             return normalCone(hitPos);
         }
+        case SHAPE_MESH: {
+            return normalMesh(hit.tri, hit.bary);
+        }
         default:
             break;
     }
@@ -520,67 +856,155 @@ vec2 getTexCoordCone(vec3 hit, vec3 normal, vec2 repeatUV) {
     }
 }
 
+vec2 getTexCoordMesh(int tri, vec2 bary, vec2 repeatUV) {
+    vec4 a = fetchMeshTexel(tri);
+    vec4 b = fetchMeshTexel(tri + 1);
+    vec2 uv0 = vec2(a.w, b.w);
+    a = fetchMeshTexel(tri + 2);
+    b = fetchMeshTexel(tri + 3);
+    vec2 uv1 = vec2(a.w, b.w);
+    a = fetchMeshTexel(tri + 4);
+    b = fetchMeshTexel(tri + 5);
+    vec2 uv2 = vec2(a.w, b.w);
+    vec2 uv = (1.0 - bary.x - bary.y) * uv0 + bary.x * uv1 + bary.y * uv2;
+    return vec2(uv.x * repeatUV.x, (1.0 - uv.y) * repeatUV.y);
+}
+
 // getTex: fetch texture color from texture index and uv coordinates
 vec4 getTex(float textureIndex, vec2 uv) {
-    switch (int(textureIndex)) {
-        case 0: return texture(uTextures[0], uv);
-        case 1: return texture(uTextures[1], uv);
-        case 2: return texture(uTextures[2], uv);
-        case 3: return texture(uTextures[3], uv);
-        case 4: return texture(uTextures[4], uv);
-        case 5: return texture(uTextures[5], uv); 
-        case 6: return texture(uTextures[6], uv);
-        case 7: return texture(uTextures[7], uv);
-        default: return texture(uTextures[0], uv);
-    }
-}
-
-vec3 getTexColor(vec3 hitPosObj, int idx) {
-    int type = int(fetchFloat(0, idx));
-    Material mat = fetchMaterial(idx);
-    vec2 uv = vec2(0.0);
-    vec4 color = vec4(0.0,1.0,0.0,1.0);
+    return texture(uTextureAtlas, vec3(uv, textureIndex));
+}
+
+// texCoordAt: uv function of analytic shape type at object point p, n is the surface normal there
+vec2 texCoordAt(int type, vec3 p, vec3 n, vec2 repeatUV) {
     switch (type) {
         case SHAPE_CUBE: {
-            vec3 normal = normalCube(hitPosObj);
             vec3 dominantFace = vec3(0.0);
-            float maxComp = max(abs(normal.x), max(abs(normal.y), abs(normal.z)));
-            if (abs(normal.x) == maxComp) {
-                dominantFace.x = sign(normal.x);
-            } else if (abs(normal.y) == maxComp) {
-                dominantFace.y = sign(normal.y);
-            } else if (abs(normal.z) == maxComp) {
-                dominantFace.z = sign(normal.z);
+            float maxComp = max(abs(n.x), max(abs(n.y), abs(n.z)));
+            if (abs(n.x) == maxComp) {
+                dominantFace.x = sign(n.x);
+            } else if (abs(n.y) == maxComp) {
+                dominantFace.y = sign(n.y);
+            } else if (abs(n.z) == maxComp) {
+                dominantFace.z = sign(n.z);
             }
-            color = getTex(mat.textureIndex, getTexCoordCube(hitPosObj, dominantFace, mat.repeatUV));
-            break;
-        }
-        case SHAPE_SPHERE: {
-            color = getTex(mat.textureIndex, getTexCoordSphere(hitPosObj, mat.repeatUV));
-            break;
-        }
-        case SHAPE_CYLINDER: {
-            vec3 normal = normalCylinder(hitPosObj);
-            color = getTex(mat.textureIndex, getTexCoordCylinder(hitPosObj, normal, mat.repeatUV));
-            break;
-        }
-        case SHAPE_CONE: {
-            vec3 normal = normalCone(hitPosObj);
-            color = getTex(mat.textureIndex, getTexCoordCone(hitPosObj, normal, mat.repeatUV));
-            break;
-        }
-        default: {
-            break;
+            return getTexCoordCube(p, dominantFace, repeatUV);
         }
+        case SHAPE_SPHERE:
+            return getTexCoordSphere(p, repeatUV);
+        case SHAPE_CYLINDER:
+            return getTexCoordCylinder(p, n, repeatUV);
+        case SHAPE_CONE:
+            return getTexCoordCone(p, n, repeatUV);
+        default:
+            return vec2(0.0);
+    }
+}
+
+// getTexCoord: texture coordinates of a hit, n is the object space normal there
+vec2 getTexCoord(Hit hit, vec3 n, vec2 repeatUV) {
+    int type = int(fetchFloat(OFFSET_TYPE, hit.objectID));
+    if (type == SHAPE_MESH) {
+        return getTexCoordMesh(hit.tri, hit.bary, repeatUV);
+    }
+    return texCoordAt(type, hit.hitPosObj, n, repeatUV);
+}
+
+vec3 getTexColor(Hit hit) {
+    Material mat = fetchMaterial(hit.objectID);
+    return getTex(mat.textureIndex, getTexCoord(hit, getNormal(hit), mat.repeatUV)).rgb;
+}
+
+// ----------------------------------------------
+// bump mapping
+
+// getTexSize: size in texels of a texture, for finite differences
+// every layer of the atlas has the same size
+ivec2 getTexSize(float textureIndex) {
+    return textureSize(uTextureAtlas, 0).xy;
+}
+
+// uvTangents: object space derivatives of the surface point with respect to the texture
+// coordinates, dp/du and dp/dv. false where the uv mapping is degenerate (e.g. sphere poles)
+bool uvTangents(Hit hit, vec3 n, vec2 repeatUV, out vec3 dpdu, out vec3 dpdv) {
+    dpdu = vec3(0.0);
+    dpdv = vec3(0.0);
+    int type = int(fetchFloat(OFFSET_TYPE, hit.objectID));
+
+    if (type == SHAPE_MESH) {
+        // per triangle tangents from the corner positions and uvs
+        vec3 p0 = fetchMeshTexel(hit.tri).xyz;
+        vec3 p1 = fetchMeshTexel(hit.tri + 2).xyz;
+        vec3 p2 = fetchMeshTexel(hit.tri + 4).xyz;
+        vec2 t0 = getTexCoordMesh(hit.tri, vec2(0.0, 0.0), repeatUV);
+        vec2 t1 = getTexCoordMesh(hit.tri, vec2(1.0, 0.0), repeatUV);
+        vec2 t2 = getTexCoordMesh(hit.tri, vec2(0.0, 1.0), repeatUV);
+        vec3 e1 = p1 - p0;
+        vec3 e2 = p2 - p0;
+        vec2 d1 = t1 - t0;
+        vec2 d2 = t2 - t0;
+        float det = d1.x * d2.y - d1.y * d2.x;
+        if (!(abs(det) > 1e-12)) return false;
+        dpdu = (e1 * d2.y - e2 * d1.y) / det;
+        dpdv = (e2 * d1.x - e1 * d2.x) / det;
+        return true;
+    }
+
+    // analytic shapes: step along two tangent directions, invert the uv jacobian
+    vec3 s = normalize(cross(abs(n.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0), n));
+    vec3 t = cross(n, s);
+    vec2 uv0 = texCoordAt(type, hit.hitPosObj, n, vec2(1.0));
+    vec2 ds = texCoordAt(type, hit.hitPosObj + UV_DELTA * s, n, vec2(1.0)) - uv0;
+    vec2 dt = texCoordAt(type, hit.hitPosObj + UV_DELTA * t, n, vec2(1.0)) - uv0;
+    ds -= round(ds); // u wraps around at the seam
+    dt -= round(dt);
+    mat2 J = mat2(ds, dt) / UV_DELTA; // duv = J * (step along s, step along t)
+    float det = determinant(J);
+    if (!(abs(det) > 1e-6)) return false;
+    mat2 Ji = inverse(J);
+    dpdu = (s * Ji[0].x + t * Ji[0].y) / repeatUV.x;
+    dpdv = (s * Ji[1].x + t * Ji[1].y) / repeatUV.y;
+    return true;
+}
+
+float bumpHeight(float textureIndex, vec2 uv) {
+    vec3 c = getTex(textureIndex, uv).rgb;
+    return (c.r + c.g + c.b) / 3.0;
+}
+
+// perturbNormal: object space shading normal after the material's bump map, n is the geometric normal
+vec3 perturbNormal(Hit hit, Material mat, vec3 n) {
+    if (mat.useBump < 0.5) return n;
+    vec3 dpdu, dpdv;
+    if (!uvTangents(hit, n, mat.bumpRepeatUV, dpdu, dpdv)) return n;
+    vec2 uv = getTexCoord(hit, n, mat.bumpRepeatUV);
+
+    if (mat.bumpFormat == BUMP_NORMAL) {
+        // tangent space normal map; texture rows run top to bottom, so image up is -v
+        vec3 ts = getTex(mat.bumpIndex, uv).rgb * 2.0 - 1.0;
+        ts.xy *= mat.bumpStrength;
+        vec3 T = normalize(dpdu - n * dot(n, dpdu));
+        vec3 B = cross(n, T);
+        if (dot(B, dpdv) > 0.0) B = -B;
+        return normalize(T * ts.x + B * ts.y + n * ts.z);
     }
-    return color.xyz;
+
+    // height map: displace along n by strength * height and take the normal of the displaced surface
+    vec2 texel = 1.0 / vec2(getTexSize(mat.bumpIndex));
+    float h  = bumpHeight(mat.bumpIndex, uv);
+    float hu = (bumpHeight(mat.bumpIndex, uv + vec2(texel.x, 0.0)) - h) / texel.x;
+    float hv = (bumpHeight(mat.bumpIndex, uv + vec2(0.0, texel.y)) - h) / texel.y;
+    vec3 nb = cross(dpdu + mat.bumpStrength * hu * n, dpdv + mat.bumpStrength * hv * n);
+    if (!(dot(nb, nb) > 0.0)) return n;
+    nb = normalize(nb);
+    return dot(nb, n) < 0.0 ? -nb : nb;
 }
 
 
 // ----------------------------------------------
 // getWorldRayDir: reconstruct world-space ray direction using uCamWorldMatrix
 vec3 getWorldRayDir() {
-    vec2 uv  = gl_FragCoord.xy / uResolution; 
+    vec2 uv  = (gl_FragCoord.xy + uTileOffset + uJitter) / uResolution; 
     // TODO: compute ray direction in world space
     uv = 2. * uv - 1.;
     vec3 uvworld = (uCamWorldMatrix * vec4(uv, -1.0, 1.0)).xyz;
@@ -589,245 +1013,592 @@ vec3 getWorldRayDir() {
     return normalize(dir);
 }
 
-// to help test occlusion (shadow)
-bool isInShadow(vec3 p, vec3 lightDir, float maxDist) {
-    // TODO: implement shadow ray intersection test
-    // loop over each object to check if isect exists within maxDist
-    float t = INF;
-    for(int i = 0; i < uObjectCount; i++) {
-        // get world to object matrix
-        mat4 M = fetchWorldMatrix(i);
-        mat4 worldToObjM = inverse(M);
+// thinLens: move the ray origin to a random point on the lens and aim it at the point
+// where the pinhole ray crosses the plane in focus, uFocalLength along the view direction
+void thinLens(inout vec3 rayOrigin, inout vec3 rayDir) {
+    vec3 focusPoint = rayOrigin + rayDir * (uFocalLength / dot(rayDir, uCameraLook));
 
-        // transform ray
-        vec3 ro = (worldToObjM * vec4(p, 1.0)).xyz;
-        vec3 rd = (worldToObjM * vec4(lightDir, 0.0)).xyz; // is it -lightDir?
+    // uniform sample of the lens disk
+    float r = 0.5 * uAperture * sqrt(random());
+    float phi = 2.0 * PI * random();
+    rayOrigin += r * (cos(phi) * uCameraRight + sin(phi) * uCameraUp);
+    rayDir = normalize(focusPoint - rayOrigin);
+}
 
-        // use intersect to get t
-        float tempT = intersect(ro, rd, i); 
+// testObject: intersect object i and keep it in hit if it is the closest so far
+void testObject(int i, vec3 rayOrigin, vec3 rayDir, inout Hit hit) {
+    isectTests++;
+    // get world to object matrix
+    mat4 worldToObjM = fetchInverseMatrix(i);
+
+    // transform ray
+    vec3 ro = (worldToObjM * vec4(rayOrigin, 1.0)).xyz;
+    vec3 rd = (worldToObjM * vec4(rayDir, 0.0)).xyz;
+
+    // use intersect to get t
+    float tempT = intersect(ro, rd, i); 
+
+    // determine the object with the lowest positive t value
+    if (tempT != -1.0 && tempT < hit.t) { // this requires t to be positive.
+        hit.t = tempT;
+        hit.objectID = i;
+        hit.hitPosObj = ro + rd * tempT; // hit position in object space
+        hit.tri = meshHitTri;
+        hit.bary = meshHitBary;
+    }
+}
 
-        // determine the object with the lowest positive t value
-        if (tempT != -1.0 && tempT < maxDist) { // this requires t to be positive.
-            return true;
+// closestHit: find the closest intersection, walking the BVH unless it is disabled
+// maxDist: stop looking past this distance (INF for camera and reflection rays)
+Hit closestHit(vec3 rayOrigin, vec3 rayDir, float maxDist) {
+    Hit hit;
+    hit.t = maxDist;
+    hit.objectID = -1;
+    hit.hitPosObj = vec3(0.0);
+    hit.tri = -1;
+    hit.bary = vec2(0.0);
+
+    if (!uUseBVH) {
+        // loop over each object to find closest
+        for(int i = 0; i < uObjectCount; i++) {
+            testObject(i, rayOrigin, rayDir, hit);
+        }
+    } else {
+        vec3 invDir = 1.0 / rayDir;
+        int stack[BVH_STACK_SIZE];
+        int sp = 0;
+        stack[sp++] = 0; // root
+        while (sp > 0) {
+            int node = stack[--sp];
+            vec4 a = fetchBVHTexel(node * 2);
+            vec4 b = fetchBVHTexel(node * 2 + 1);
+            isectTests++;
+
+            // skip boxes that are missed or farther than the closest hit so far
+            if (boxDistance(rayOrigin, invDir, a.xyz, b.xyz) >= hit.t) continue;
+
+            if (b.w >= 0.0) {
+                // leaf: test its objects
+                int first = int(a.w);
+                int count = int(b.w);
+                for (int k = 0; k < count; k++) {
+                    testObject(fetchBVHIndex(first + k), rayOrigin, rayDir, hit);
+                }
+            } else if (sp + 2 <= BVH_STACK_SIZE) {
+                // interior: visit the child on the near side of the split first
+                int left = int(a.w);
+                int axis = int(-b.w) - 1;
+                bool dirNeg = (axis == 0) ? rayDir.x < 0.0 : (axis == 1) ? rayDir.y < 0.0 : rayDir.z < 0.0;
+                if (dirNeg) {
+                    stack[sp++] = left;
+                    stack[sp++] = left + 1;
+                } else {
+                    stack[sp++] = left + 1;
+                    stack[sp++] = left;
+                }
+            }
         }
     }
-    return false; 
-}
 
-// bounce = recursion level (0 for primary rays)
-// end goal: trace a ray that bounces 5 times to determine color of pixel
-vec3 traceRay(vec3 rayOrigin, vec3 rayDir) {
-    // TODO: implement ray tracing logic
+    // a miss is reported as INF no matter how far we looked
+    if (hit.objectID == -1) hit.t = INF;
+    return hit;
+}
 
-    // data to track closest object
-    float t = INF;
-    int objectID = -1;
-    vec3 hitPosObj = vec3(0.0);
-    
-    // loop over each object to find closest
-    for(int i = 0; i < uObjectCount; i++) {
-        // get world to object matrix
-        mat4 M = fetchWorldMatrix(i);
-        mat4 worldToObjM = inverse(M);
+Hit closestHit(vec3 rayOrigin, vec3 rayDir) {
+    return closestHit(rayOrigin, rayDir, INF);
+}
 
-        // transform ray
-        vec3 ro = (worldToObjM * vec4(rayOrigin, 1.0)).xyz;
-        vec3 rd = (worldToObjM * vec4(rayDir, 0.0)).xyz;
+// to help test occlusion (shadow)
+bool isInShadow(vec3 p, vec3 lightDir, float maxDist) {
+    // any hit closer than maxDist blocks the light
+    return closestHit(p, lightDir, maxDist).objectID != -1;
+}
 
-        // use intersect to get t
-        float tempT = intersect(ro, rd, i); 
+// lightTransmittance: how much light gets from p to a light maxDist away along lightDir
+// opaque objects block it, transparent ones tint it by kt * cTransparent
+vec3 lightTransmittance(vec3 p, vec3 lightDir, float maxDist) {
+    vec3 transmittance = vec3(1.0);
+    for (int i = 0; i < MAX_SHADOW_HITS; i++) {
+        Hit hit = closestHit(p, lightDir, maxDist);
+        if (hit.objectID == -1) return transmittance;
+
+        Material mat = fetchMaterial(hit.objectID);
+        transmittance *= uGlobalKt * mat.transparentColor;
+        if (max(transmittance.r, max(transmittance.g, transmittance.b)) < MIN_RAY_WEIGHT) break;
+
+        // continue just past the surface we went through
+        float advance = hit.t + 2.0 * EPSILON;
+        p += lightDir * advance;
+        maxDist -= advance;
+    }
+    return vec3(0.0);
+}
 
-        // determine the object with the lowest positive t value
-        if (tempT != -1.0 && tempT < t) { // this requires t to be positive.
-            t = tempT;
-            objectID = i;
-            hitPosObj = ro + rd * t; // hit position in object space
-        }
+// fresnelSchlick: fraction of light reflected when going from ior n1 into ior n2
+// cosi is the cosine between the incoming ray and the surface normal
+float fresnelSchlick(float cosi, float n1, float n2) {
+    float r0 = (n1 - n2) / (n1 + n2);
+    r0 *= r0;
+    if (n1 > n2) {
+        // leaving the denser medium: use the transmitted angle
+        float eta = n1 / n2;
+        float sin2t = eta * eta * (1.0 - cosi * cosi);
+        if (sin2t > 1.0) return 1.0; // total internal reflection
+        cosi = sqrt(1.0 - sin2t);
     }
+    float x = 1.0 - cosi;
+    return r0 + (1.0 - r0) * x * x * x * x * x;
+}
+
+// spotFalloff: 1 inside the inner cone, smooth falloff across the penumbra, 0 outside
+// L.angle is the outer half angle, the inner cone is L.penumbra narrower (radians)
+float spotFalloff(Light L, vec3 lightDir) {
+    vec3 spotDir = L.dir;
+    if (length(spotDir) < EPSILON) return 1.0; // no direction given, behave like a point light
+
+    float theta = acos(clamp(dot(-lightDir, normalize(spotDir)), -1.0, 1.0));
+    float outer = L.angle;
+    float inner = max(outer - L.penumbra, 0.0);
+    if (theta <= inner) return 1.0;
+    if (theta >= outer) return 0.0;
+
+    // cubic falloff across the penumbra: 1 - (-2x^3 + 3x^2)
+    float x = (theta - inner) / (outer - inner);
+    return 1.0 - x * x * (3.0 - 2.0 * x);
+}
+
+// attenuation: distance falloff of light L, 1 / (c + l*d + q*d^2) clamped to at most 1
+float attenuation(Light L, float dist) {
+    vec3 f = L.function;
+    float denom = f.x + f.y * dist + f.z * dist * dist;
+    return denom > 0.0 ? min(1.0, 1.0 / denom) : 1.0;
+}
 
-    // If no intersection, return black
-    if (t == INF || objectID == -1) {
-        return vec3(0.0);
+// diffuseSpecular: Phong diffuse + specular for light arriving along lightDir
+vec3 diffuseSpecular(vec3 objColor, Material mat, vec3 nWorld, vec3 viewDir, vec3 lightDir) {
+    // Calculate reflection vector: R = 2(L·N)N - L
+    float nDotL = dot(nWorld, lightDir);
+    vec3 reflectDir = 2.0 * nDotL * nWorld - lightDir;
+
+    // Calculate diffuse contribution
+    vec3 diffuse = uGlobalKd * objColor * max(0.0, nDotL);
+
+    // Calculate specular contribution (safely)
+    float specFactor = max(0.0, dot(reflectDir, viewDir));
+    specFactor = pow(specFactor, max(EPSILON, mat.shininess)); // Ensure shininess >= 1
+    vec3 specular = uGlobalKs * mat.specularColor * specFactor;
+
+    return diffuse + specular;
+}
+
+// ----------------------------------------------
+// emissive objects as lights
+
+// sampleObjectSurface: uniform random point on the surface of object idx, in object space
+// nObj is the outward normal there, pdfArea the density per unit of object space area
+vec3 sampleObjectSurface(int idx, out vec3 nObj, out float pdfArea) {
+    int type = int(fetchFloat(OFFSET_TYPE, idx));
+    float r1 = random();
+    float r2 = random();
+    float r3 = random();
+    switch (type) {
+        case SHAPE_SPHERE: {
+            float z = 1.0 - 2.0 * r1;
+            float s = sqrt(max(0.0, 1.0 - z * z));
+            float phi = 2.0 * PI * r2;
+            nObj = vec3(s * cos(phi), s * sin(phi), z);
+            pdfArea = 1.0 / PI; // area 4 pi r^2 with r = 0.5
+            return HALF * nObj;
+        }
+        case SHAPE_CYLINDER: {
+            // body area pi, each cap pi / 4
+            pdfArea = 1.0 / (1.5 * PI);
+            float pick = r3 * 1.5;
+            float phi = 2.0 * PI * r2;
+            if (pick < 1.0) {
+                nObj = vec3(cos(phi), 0.0, sin(phi));
+                return vec3(HALF * nObj.x, r1 - HALF, HALF * nObj.z);
+            }
+            float y = pick < 1.25 ? HALF : -HALF;
+            float r = HALF * sqrt(r1);
+            nObj = vec3(0.0, sign(y), 0.0);
+            return vec3(r * cos(phi), y, r * sin(phi));
+        }
+        case SHAPE_CONE: {
+            // apex at y = 0.5, base of radius 0.5 at y = -0.5
+            float body = PI * HALF * sqrt(1.25); // pi r l, slant l = sqrt(r^2 + h^2)
+            float cap = PI * 0.25;
+            pdfArea = 1.0 / (body + cap);
+            float r = HALF * sqrt(r1); // area grows with r^2 on both the body and the cap
+            float phi = 2.0 * PI * r2;
+            if (r3 * (body + cap) < body) {
+                vec3 p = vec3(r * cos(phi), HALF - 2.0 * r, r * sin(phi));
+                // side normal (p.x / r, 0.5, p.z / r), written with phi so the apex needs no r == 0 guard
+                nObj = normalize(vec3(cos(phi), HALF, sin(phi)));
+                return p;
+            }
+            nObj = vec3(0.0, -1.0, 0.0);
+            return vec3(r * cos(phi), -HALF, r * sin(phi));
+        }
+        case SHAPE_MESH: {
+            // pick a triangle uniformly, then a uniform point on it
+            vec4 header = fetchMeshTexel(fetchMeshIndex(idx) * 3);
+            int triCount = int(header.y);
+            int tri = int(header.x) + min(int(r3 * float(triCount)), triCount - 1) * 6;
+            vec3 v0 = fetchMeshTexel(tri).xyz;
+            vec3 v1 = fetchMeshTexel(tri + 2).xyz;
+            vec3 v2 = fetchMeshTexel(tri + 4).xyz;
+            vec3 c = cross(v1 - v0, v2 - v0);
+            float area = 0.5 * length(c);
+            if (triCount <= 0 || area <= 0.0) {
+                pdfArea = 0.0;
+                nObj = vec3(0.0, 1.0, 0.0);
+                return v0;
+            }
+            float su = sqrt(r1);
+            vec2 bary = vec2(su * (1.0 - r2), su * r2);
+            // the face normal, on the side the vertex normals point to
+            nObj = normalize(c);
+            if (dot(nObj, normalMesh(tri, bary)) < 0.0) nObj = -nObj;
+            pdfArea = 1.0 / (float(triCount) * area);
+            return (1.0 - bary.x - bary.y) * v0 + bary.x * v1 + bary.y * v2;
+        }
+        default: {
+            // cube: six faces of area 1
+            int face = min(int(r3 * 6.0), 5);
+            int axis = face / 2;
+            float side = (face % 2 == 0) ? HALF : -HALF;
+            vec2 q = vec2(r1, r2) - HALF;
+            pdfArea = 1.0 / 6.0;
+            nObj = vec3(0.0);
+            if (axis == 0) {
+                nObj.x = sign(side);
+                return vec3(side, q.x, q.y);
+            } else if (axis == 1) {
+                nObj.y = sign(side);
+                return vec3(q.x, side, q.y);
+            }
+            nObj.z = sign(side);
+            return vec3(q.x, q.y, side);
+        }
     }
+}
 
-    // if ((t != INF) && (t > .0)) return vec3(1.0);
+// emissiveLight: light from one randomly picked emissive object, sampled at one point
+// its surface is treated as an area light of radiance cEmissive
+vec3 emissiveLight(Hit hit, Material mat, vec3 objColor, vec3 pWorld, vec3 nWorld, vec3 viewDir, vec3 shadowOrigin) {
+    if (!uSampleEmissive || uEmissiveCount == 0) return vec3(0.0);
+    int pick = min(int(random() * float(uEmissiveCount)), uEmissiveCount - 1);
+    int idx = fetchEmissiveObject(pick);
+    if (idx == hit.objectID) return vec3(0.0); // no self lighting
+
+    vec3 nObj;
+    float pdfArea;
+    vec3 pObj = sampleObjectSurface(idx, nObj, pdfArea);
+    if (pdfArea <= 0.0) return vec3(0.0);
+
+    // to world space: area elements scale by |det M| * |M^-T n|
+    mat4 worldMatrix = fetchWorldMatrix(idx);
+    vec3 nLight = fetchNormalMatrix(idx) * nObj;
+    float areaScale = abs(determinant(mat3(worldMatrix))) * length(nLight);
+    nLight = normalize(nLight);
+    vec3 samplePos = (worldMatrix * vec4(pObj, 1.0)).xyz;
+
+    vec3 toLight = samplePos - pWorld;
+    float dist2 = dot(toLight, toLight);
+    if (dist2 < EPSILON * EPSILON) return vec3(0.0);
+    float dist = sqrt(dist2);
+    vec3 lightDir = toLight / dist;
+    float cosLight = dot(nLight, -lightDir);
+    if (cosLight <= 0.0 || dot(nWorld, lightDir) <= 0.0) return vec3(0.0); // back of the emitter
+
+    // stop just short of the emitter itself
+    vec3 visibility = lightTransmittance(shadowOrigin, lightDir, dist - 2.0 * EPSILON);
+    if (visibility == vec3(0.0)) return vec3(0.0);
+
+    // radiance * brdf * geometry term / pdf, the brdf is diffuseSpecular / pi
+    float geometry = cosLight * areaScale * float(uEmissiveCount) / (dist2 * pdfArea * PI);
+    return visibility * fetchEmissive(idx) * geometry * diffuseSpecular(objColor, mat, nWorld, viewDir, lightDir);
+}
 
-    // Get the world matrix for this object
-    mat4 worldMatrix = fetchWorldMatrix(objectID);
-    mat4 objMatrix = inverse(worldMatrix);
+// areaLightFrame: the rectangle of area light L is centered on L.pos, faces L.dir
+// and spans L.width along tangentU and L.height along tangentV
+void areaLightFrame(Light L, out vec3 lightNormal, out vec3 tangentU, out vec3 tangentV) {
+    lightNormal = L.dir;
+    lightNormal = length(lightNormal) < EPSILON ? vec3(0.0, -1.0, 0.0) : normalize(lightNormal);
+    vec3 helper = abs(lightNormal.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+    tangentU = normalize(cross(helper, lightNormal));
+    tangentV = cross(lightNormal, tangentU);
+}
 
+// shade: local illumination (ambient + every light) at a surface point
+// nWorld faces the incoming ray, viewDir points from the surface back along it
+vec3 shade(Hit hit, Material mat, vec3 pWorld, vec3 nWorld, vec3 viewDir) {
     // Global material coefficients
     float ka = uGlobalKa;
-    float kd = uGlobalKd;
-    float ks = uGlobalKs;
     int   m  = uNumLights;
 
-    // Get normal in object space
-    vec3 normalObj = getNormal(hitPosObj, objectID);
-
-    // Transform normal to world space (using transpose of inverse)
-    mat4 normMatrix = transpose(objMatrix);
-    vec3 nWorld = normalize((normMatrix * vec4(normalObj, 0.0)).xyz);
-    
-    // Transform hit position to world space
-    vec3 pWorld = (worldMatrix * vec4(hitPosObj, 1.0)).xyz; // might need transpose
-    
-    // Get material properties
-    Material mat = fetchMaterial(objectID);
-    
-    
     // Start with ambient color
-    vec3 ambientColor = ka * mat.ambientColor;
-    vec3 color = ambientColor; // color = (R, G, B)
-    
-    // Calculate view direction (from hit point to camera)
-    vec3 viewDir = normalize(uCameraPos - pWorld);
-    
+    vec3 color = ka * mat.ambientColor; // color = (R, G, B)
+
+    // Object color is the same for every light
+    vec3 objColor = mat.diffuseColor;
+    if (mat.useTexture > 0.5) {
+        objColor = mix(mat.diffuseColor, getTexColor(hit), mat.blend);
+    }
+
+    // shadow rays start just off the surface
+    vec3 shadowOrigin = pWorld + nWorld * 2. * EPSILON;
+
     // Loop through all lights
     for (int i = 0; i < m; i++) {
         // Get light color and position
-        vec3 lightColor = uLightColor[i];
-        vec3 lightPos = uLightPos[i];
+        Light L = fetchLight(i);
+        vec3 lightColor = L.color;
+        vec3 lightPos = L.pos;
         vec3 lightDir;
+        float lightDist; // how far shadow rays have to look
+
+        // Area lights: average jittered samples over the rectangle for soft shadows
+        if (L.type == LIGHT_AREA) {
+            vec3 lightNormal, tangentU, tangentV;
+            areaLightFrame(L, lightNormal, tangentU, tangentV);
+            int samples = max(uAreaLightSamples, 1);
+            vec3 sum = vec3(0.0);
+            for (int s = 0; s < samples; s++) {
+                vec3 samplePos = lightPos
+                    + (random() - 0.5) * L.width * tangentU
+                    + (random() - 0.5) * L.height * tangentV;
+                lightDir = normalize(samplePos - pWorld);
+                lightDist = length(samplePos - pWorld);
+                if (dot(-lightDir, lightNormal) <= 0.0) continue; // behind the emitting side
+
+                vec3 visibility = lightTransmittance(shadowOrigin, lightDir, lightDist);
+                if (visibility == vec3(0.0)) continue;
+                sum += visibility * attenuation(L, lightDist) * diffuseSpecular(objColor, mat, nWorld, viewDir, lightDir);
+            }
+            color += lightColor * sum / float(samples);
+            continue;
+        }
 
         // Determine light direction based on light type
-        if (uLightType[i] == 0) { // Point light
+        if (L.type == LIGHT_POINT) {
+            lightDir = normalize(lightPos - pWorld);
+            lightDist = length(lightPos - pWorld);
+            lightColor *= attenuation(L, lightDist);
+        } else if (L.type == LIGHT_DIRECTIONAL) {
+            lightDir = normalize(-L.dir);
+            lightDist = INF;
+        } else if (L.type == LIGHT_SPOT) {
             lightDir = normalize(lightPos - pWorld);
-        } else if (uLightType[i] == 1) { // Directional light
-            lightDir = normalize(-uLightDir[i]);
+            lightDist = length(lightPos - pWorld);
+            lightColor *= spotFalloff(L, lightDir) * attenuation(L, lightDist);
+            if (lightColor == vec3(0.0)) continue; // outside the cone
         } else {
             continue; // Unsupported light type
         }
 
-        // Check if this light is obstructed
-        if (!isInShadow(pWorld + nWorld * 2. * EPSILON, lightDir, length(lightPos - pWorld))) {
-            
-            // Calculate reflection vector: R = 2(L·N)N - L
-            float nDotL = dot(nWorld, lightDir);
-            vec3 reflectDir = 2.0 * nDotL * nWorld - lightDir;
+        // Check how much of this light is obstructed
+        vec3 visibility = lightTransmittance(shadowOrigin, lightDir, lightDist);
+        if (visibility == vec3(0.0)) continue;
 
-            // Calculate diffuse contribution
-            vec3 objColor = 2.5 * mat.useTexture * getTexColor(hitPosObj, objectID) + (1.0 - mat.useTexture) * mat.diffuseColor;
-            vec3 diffuse = kd * objColor * max(0.0, nDotL);
-            
-            // Calculate specular contribution (safely)
-            float specFactor = max(0.0, dot(reflectDir, viewDir));
-            specFactor = pow(specFactor, max(EPSILON, mat.shininess)); // Ensure shininess >= 1
-            vec3 specular = ks * mat.specularColor * specFactor;
-            
-            color += lightColor * (diffuse + specular);
-        }
+        color += lightColor * visibility * diffuseSpecular(objColor, mat, nWorld, viewDir, lightDir);
     }
 
-    // If intersection and not final recursion level, begin recursion
-    vec3 currentRayOrigin = pWorld;
-    vec3 currentRayDir = rayDir;
-    vec3 currentNormal = nWorld;
-    int currentObjectID = objectID;
-    
-    for(int depth = 1; depth < uMaxDepth; depth++) {
-        // Calculate reflection direction
-        vec3 reflectDir = normalize(currentRayDir - 2.0 * dot(currentRayDir, currentNormal) * currentNormal);
-        vec3 reflectOrigin = currentRayOrigin + currentNormal * 2.0 * EPSILON;
-        
-        // Find closest intersection with reflection ray
-        float tReflect = INF;
-        int objectIDReflect = -1;
-        vec3 hitPosObjReflect = vec3(0.0);
-        
-        for(int i = 0; i < uObjectCount; i++) {
-            mat4 M = fetchWorldMatrix(i);
-            mat4 worldToObjM = inverse(M);
-            
-            vec3 ro = (worldToObjM * vec4(reflectOrigin, 1.0)).xyz;
-            vec3 rd = (worldToObjM * vec4(reflectDir, 0.0)).xyz;
-            
-            float tempT = intersect(ro, rd, i);
-            
-            if (tempT != -1.0 && tempT < tReflect) {
-                tReflect = tempT;
-                objectIDReflect = i;
-                hitPosObjReflect = ro + rd * tempT;
-            }
-        }
-        
-        // If no intersection, stop recursion
-        if (tReflect == INF || objectIDReflect == -1) {
-            break;
+    // glowing objects light the scene too when sampling stochastically
+    color += emissiveLight(hit, mat, objColor, pWorld, nWorld, viewDir, shadowOrigin);
+    return color;
+}
+
+// a ray waiting to be traced: its contribution is scaled by weight
+struct RayTask {
+    vec3 origin;
+    vec3 dir;
+    vec3 weight;
+    int depth; // 0 for primary rays
+};
+
+// end goal: trace a ray that bounces up to uMaxDepth times to determine color of pixel
+// GLSL has no recursion, so reflected and refracted rays go on a small stack
+vec3 traceRay(vec3 rayOrigin, vec3 rayDir) {
+    vec3 color = vec3(0.0);
+
+    RayTask stack[RAY_STACK_SIZE];
+    int sp = 0;
+    stack[sp++] = RayTask(rayOrigin, rayDir, vec3(1.0), 0);
+
+    while (sp > 0) {
+        RayTask ray = stack[--sp];
+
+        // If no intersection, the background is black
+        Hit hit = closestHit(ray.origin, ray.dir);
+        if (hit.t == INF || hit.objectID == -1) {
+            continue;
         }
-        
-        // Process the reflected ray intersection
-        mat4 worldMatrixReflect = fetchWorldMatrix(objectIDReflect);
-        vec3 pWorldReflect = (worldMatrixReflect * vec4(hitPosObjReflect, 1.0)).xyz;
-        
-        // Get normal at reflection point
-        vec3 normalObjReflect = getNormal(hitPosObjReflect, objectIDReflect);
-        mat4 objMatrixReflect = inverse(worldMatrixReflect);
-        mat4 normMatrixReflect = transpose(objMatrixReflect);
-        vec3 nWorldReflect = normalize((normMatrixReflect * vec4(normalObjReflect, 0.0)).xyz);
-        
+
+        // Get the world matrix for this object
+        mat4 worldMatrix = fetchWorldMatrix(hit.objectID);
+
         // Get material properties
-        Material matReflect = fetchMaterial(objectIDReflect);
-        
-        // Calculate lighting at reflection point
-        vec3 ambientReflect = ka * matReflect.ambientColor;
-        vec3 colorReflect = ambientReflect;
-        
-        vec3 viewDirReflect = normalize(uCameraPos - pWorldReflect);
-        
-        for (int i = 0; i < m; i++) {
-            vec3 lightColor = uLightColor[i];
-            vec3 lightPos = uLightPos[i];
-            vec3 lightDir;
-
-            // Determine light direction based on light type
-            if (uLightType[i] == 0) { // Point light
-                lightDir = normalize(lightPos - pWorld);
-            } else if (uLightType[i] == 1) { // Directional light
-                lightDir = normalize(-uLightDir[i]);
+        Material mat = fetchMaterial(hit.objectID);
+
+        // Get normal in object space, transform it to world space
+        // the bump mapped normal is only used for shading, offsets use the geometric one
+        vec3 normalObj = getNormal(hit);
+        mat3 normMatrix = fetchNormalMatrix(hit.objectID);
+        vec3 nWorld = normalize(normMatrix * normalObj);
+        vec3 nShadeWorld = normalize(normMatrix * perturbNormal(hit, mat, normalObj));
+
+        // Transform hit position to world space
+        vec3 pWorld = (worldMatrix * vec4(hit.hitPosObj, 1.0)).xyz;
+
+        // Normals point out of the closed primitives, so a ray along the normal is leaving one
+        bool exiting = dot(ray.dir, nWorld) > 0.0;
+        vec3 n = exiting ? -nWorld : nWorld;
+        vec3 ns = exiting ? -nShadeWorld : nShadeWorld;
+
+        // lights only reach the outside of a surface, and only the outside glows
+        if (!exiting) {
+            color += ray.weight * (mat.emissiveColor + shade(hit, mat, pWorld, ns, -ray.dir));
+        }
+
+        // If not final recursion level, spawn reflected and refracted rays
+        if (ray.depth + 1 >= uMaxDepth) continue;
+
+        vec3 reflectWeight = ray.weight * uGlobalKs * mat.reflectiveColor;
+        vec3 refractWeight = ray.weight * uGlobalKt * mat.transparentColor;
+        vec3 refractDir = vec3(0.0);
+
+        if (max(refractWeight.r, max(refractWeight.g, refractWeight.b)) > MIN_RAY_WEIGHT) {
+            float n1 = exiting ? mat.ior : 1.0;
+            float n2 = exiting ? 1.0 : mat.ior;
+            float cosi = -dot(ray.dir, ns);
+            refractDir = refract(ray.dir, ns, n1 / n2);
+
+            if (refractDir == vec3(0.0)) {
+                // total internal reflection: everything goes to the reflected ray
+                reflectWeight += refractWeight;
+                refractWeight = vec3(0.0);
             } else {
-                continue; // Unsupported light type
+                // Fresnel splits the transmitted energy between the two rays
+                float F = fresnelSchlick(cosi, n1, n2);
+                reflectWeight += refractWeight * F;
+                refractWeight *= 1.0 - F;
             }
+        }
 
-            if (!isInShadow(pWorldReflect + nWorldReflect * 2. * EPSILON, lightDir, length(lightPos - pWorldReflect))) {
-                float nDotL = dot(nWorldReflect, lightDir);
-                vec3 reflectLightDir = 2.0 * nDotL * nWorldReflect - lightDir;
-                
-                
-                vec3 objColorReflect = 2.5 * matReflect.useTexture * getTexColor(hitPosObjReflect, objectIDReflect) + (1.0 - matReflect.useTexture) * matReflect.diffuseColor;
-                vec3 diffuse = kd * objColorReflect * max(0.0, nDotL);
-                
-                float specFactor = max(0.0, dot(reflectLightDir, viewDirReflect));
-                specFactor = pow(specFactor, max(EPSILON, matReflect.shininess));
-                vec3 specular = ks * matReflect.specularColor * specFactor;
-                
-                colorReflect += lightColor * (diffuse + specular);
-            }
+        if (max(reflectWeight.r, max(reflectWeight.g, reflectWeight.b)) > MIN_RAY_WEIGHT && sp < RAY_STACK_SIZE) {
+            // Calculate reflection direction
+            vec3 reflectDir = normalize(ray.dir - 2.0 * dot(ray.dir, ns) * ns);
+            stack[sp++] = RayTask(pWorld + n * 2.0 * EPSILON, reflectDir, reflectWeight, ray.depth + 1);
+        }
+        if (max(refractWeight.r, max(refractWeight.g, refractWeight.b)) > MIN_RAY_WEIGHT && sp < RAY_STACK_SIZE) {
+            // the refracted ray starts just on the other side of the surface
+            stack[sp++] = RayTask(pWorld - n * 2.0 * EPSILON, normalize(refractDir), refractWeight, ray.depth + 1);
         }
-        
-        // Add contribution with depth attenuation
-        float depthAttenuation = pow(0.5, float(depth));
-        color += colorReflect * matReflect.reflectiveColor * depthAttenuation;
-        
-        // Update for next recursion level
-        currentRayOrigin = pWorldReflect;
-        currentRayDir = reflectDir;
-        currentNormal = nWorldReflect;
-        currentObjectID = objectIDReflect;
-    }
-    // Clamp color values to [0, 1] range
+    }
     return color;
 }
 
 
+// ----------------------------------------------
+// debug views
+
+// heatmap: blue at 0, through cyan, green and yellow to red at 1
+vec3 heatmap(float x) {
+    x = clamp(x, 0.0, 1.0);
+    return clamp(vec3(
+        min(4.0 * x - 1.5, -4.0 * x + 4.5),
+        min(4.0 * x - 0.5, -4.0 * x + 3.5),
+        min(4.0 * x + 0.5, -4.0 * x + 2.5)), 0.0, 1.0);
+}
+
+// falseColor: a stable, well spread color per object index
+vec3 falseColor(int id) {
+    float h = fract(float(id) * 0.618034); // golden ratio hue steps
+    return clamp(abs(fract(h + vec3(0.0, 2.0, 1.0) / 3.0) * 6.0 - 3.0) - 1.0, 0.0, 1.0) * 0.8 + 0.2;
+}
+
+// shadowOcclusion: average visibility of the lights at a surface point, shading ignored
+// area lights use one random point per sample, so it converges to the soft shadow
+float shadowOcclusion(vec3 pWorld, vec3 nWorld) {
+    if (uNumLights == 0) return 1.0;
+    vec3 shadowOrigin = pWorld + nWorld * 2. * EPSILON;
+    float lit = 0.0;
+    for (int i = 0; i < uNumLights; i++) {
+        Light L = fetchLight(i);
+        vec3 lightPos = L.pos;
+        if (L.type == LIGHT_AREA) {
+            vec3 lightNormal, tangentU, tangentV;
+            areaLightFrame(L, lightNormal, tangentU, tangentV);
+            lightPos += (random() - 0.5) * L.width * tangentU + (random() - 0.5) * L.height * tangentV;
+        }
+        vec3 lightDir = L.type == LIGHT_DIRECTIONAL ? normalize(-L.dir) : normalize(lightPos - pWorld);
+        float lightDist = L.type == LIGHT_DIRECTIONAL ? INF : length(lightPos - pWorld);
+        if (dot(nWorld, lightDir) <= 0.0) continue; // faces away, in its own shadow
+        vec3 visibility = lightTransmittance(shadowOrigin, lightDir, lightDist);
+        lit += (visibility.r + visibility.g + visibility.b) / 3.0;
+    }
+    return lit / float(uNumLights);
+}
+
+// debugColor: what the uDebugView shows for a primary ray
+vec3 debugColor(vec3 rayOrigin, vec3 rayDir) {
+    isectTests = 0;
+    Hit hit = closestHit(rayOrigin, rayDir);
+    if (uDebugView == DEBUG_TEST_COUNT) return heatmap(float(isectTests) / DEBUG_HEAT_MAX);
+    if (uDebugView == DEBUG_PICK) {
+        // a miss can't return INF, main zeroes non-finite colors
+        return hit.objectID == -1 ? vec3(-1.0, 0.0, 0.0) : vec3(float(hit.objectID), hit.t, 0.0);
+    }
+    if (hit.objectID == -1) return vec3(0.0);
+
+    vec3 normalObj = getNormal(hit);
+    vec3 nWorld = normalize(fetchNormalMatrix(hit.objectID) * normalObj);
+    switch (uDebugView) {
+        case DEBUG_HIT:
+            return vec3(1.0);
+        case DEBUG_DEPTH:
+            return vec3(1.0 - clamp(hit.t / uFarPlane, 0.0, 1.0));
+        case DEBUG_NORMAL:
+            return nWorld * 0.5 + 0.5;
+        case DEBUG_OBJECT_ID:
+            return falseColor(hit.objectID);
+        case DEBUG_UV:
+            return vec3(fract(getTexCoord(hit, normalObj, vec2(1.0))), 0.0);
+        case DEBUG_SHADOW: {
+            vec3 pWorld = (fetchWorldMatrix(hit.objectID) * vec4(hit.hitPosObj, 1.0)).xyz;
+            vec3 n = dot(rayDir, nWorld) > 0.0 ? -nWorld : nWorld;
+            return vec3(shadowOcclusion(pWorld, n));
+        }
+        default:
+            return vec3(1.0, 0.0, 1.0); // unknown view
+    }
+}
+
 // ----------------------------------------------
 // main: iterate over all objects, test intersection, and shade
 void main() {
+    initRandom();
+
     // Compute ray origin and direction in world space
     vec3 rayOrigin = uCameraPos;
     vec3 rayDir    = getWorldRayDir();
+    if (uAperture > 0.0) {
+        thinLens(rayOrigin, rayDir);
+    }
 
     // process and get final color 
-    vec3 color = traceRay(rayOrigin, rayDir);
+    vec3 color = uDebugView == DEBUG_NONE ? traceRay(rayOrigin, rayDir) : debugColor(rayOrigin, rayDir);
+
+    // a bad sample would poison the average for good
+    if (any(isnan(color)) || any(isinf(color))) color = vec3(0.0);
+
+    // blend into the running average of the earlier samples
+    if (uSampleCount > 0) {
+        vec3 prev = texelFetch(uAccumBuffer, ivec2(gl_FragCoord.xy), 0).rgb;
+        color = mix(prev, color, 1.0 / float(uSampleCount + 1));
+    }
     outColor = vec4(color, 1.0);
 }
\ No newline at end of file
@@ -0,0 +1,666 @@
+import { SceneGlobalData, SceneCameraData, SceneLightData, SceneNode, SceneTransformation, ScenePrimitive, SceneFileMap, TransformationType, PrimitiveType, LightType } from './SceneDataStructures.js';
+import { fetchFile } from './fileSet.js';
+// Reads glTF 2.0 (.gltf / .glb) into the same structures XMLSceneParser builds
+// mat4 / quat / vec3 are the gl-matrix globals, like in camera.js
+
+const GLB_MAGIC = 0x46546c67;      // "glTF"
+const GLB_CHUNK_JSON = 0x4e4f534a; // "JSON"
+const GLB_CHUNK_BIN = 0x004e4942;  // "BIN\0"
+
+// componentType → [bytes, DataView getter]
+const COMPONENT_TYPES = {
+    5120: [1, "getInt8"],
+    5121: [1, "getUint8"],
+    5122: [2, "getInt16"],
+    5123: [2, "getUint16"],
+    5125: [4, "getUint32"],
+    5126: [4, "getFloat32"]
+};
+// divisor for normalized integer components
+const NORMALIZE_SCALE = { 5120: 127, 5121: 255, 5122: 32767, 5123: 65535 };
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+// extensions we understand, anything else in extensionsRequired can't be loaded
+const SUPPORTED_EXTENSIONS = [
+    "KHR_lights_punctual",
+    "KHR_texture_transform",
+    "KHR_materials_emissive_strength",
+    "KHR_materials_ior",
+    "KHR_materials_transmission"
+];
+
+const RAD_TO_DEG = 180.0 / Math.PI;
+
+/**
+ * Turn indexed triangle data into the flat triangle soup loadOBJFromText returns,
+ * so glTF meshes go through the same packMeshes path as OBJ files.
+ * normals may be null (flat normals are computed), uvs may be null.
+ */
+function buildTriangleSoup(indices, positions, normals, uvs) {
+    const triangleCount = indices.length / 3;
+    const mesh = {
+        triangleCount,
+        positions: new Float32Array(triangleCount * 9),
+        normals:   new Float32Array(triangleCount * 9),
+        uvs:       new Float32Array(triangleCount * 6),
+        min: [Infinity, Infinity, Infinity],
+        max: [-Infinity, -Infinity, -Infinity]
+    };
+    for (let t = 0; t < triangleCount; t++) {
+        const corners = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+        const p = corners.map(i => [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]]);
+
+        // flat normal, used when the primitive has no NORMAL attribute
+        const e1 = [p[1][0] - p[0][0], p[1][1] - p[0][1], p[1][2] - p[0][2]];
+        const e2 = [p[2][0] - p[0][0], p[2][1] - p[0][1], p[2][2] - p[0][2]];
+        const fn = [
+            e1[1] * e2[2] - e1[2] * e2[1],
+            e1[2] * e2[0] - e1[0] * e2[2],
+            e1[0] * e2[1] - e1[1] * e2[0]
+        ];
+        const len = Math.hypot(fn[0], fn[1], fn[2]) || 1;
+
+        corners.forEach((i, j) => {
+            const c = t * 3 + j;
+            mesh.positions.set(p[j], c * 3);
+            if (normals) {
+                mesh.normals.set([normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2]], c * 3);
+            } else {
+                mesh.normals.set([fn[0] / len, fn[1] / len, fn[2] / len], c * 3);
+            }
+            if (uvs) {
+                // glTF puts v = 0 at the top of the image, the shader expects OBJ's bottom
+                mesh.uvs.set([uvs[i * 2], 1 - uvs[i * 2 + 1]], c * 2);
+            }
+            for (let a = 0; a < 3; a++) {
+                mesh.min[a] = Math.min(mesh.min[a], p[j][a]);
+                mesh.max[a] = Math.max(mesh.max[a], p[j][a]);
+            }
+        });
+    }
+    return mesh;
+}
+
+// strips and fans to a plain triangle list
+function triangulate(indices, mode) {
+    if (mode === MODE_TRIANGLES) return indices;
+    const out = [];
+    for (let i = 2; i < indices.length; i++) {
+        if (mode === MODE_TRIANGLE_FAN) {
+            out.push(indices[0], indices[i - 1], indices[i]);
+        } else if (i % 2 === 0) {
+            out.push(indices[i - 2], indices[i - 1], indices[i]);
+        } else {
+            out.push(indices[i - 1], indices[i - 2], indices[i]); // keep the winding
+        }
+    }
+    return out;
+}
+
+// glTF uris are percent-encoded ("My%20Texture.png"), file names are not
+// data: uris are left alone, so is a uri that doesn't decode
+function uriToFileName(uri) {
+    if (/^data:/i.test(uri)) return uri;
+    try {
+        return decodeURIComponent(uri);
+    } catch (e) {
+        return uri;
+    }
+}
+
+// Main GLTFSceneParser class
+
+class GLTFSceneParser {
+    /**
+     * options.lenient: skip recoverable problems (unsupported primitives, missing
+     * attributes) with a warning instead of failing the whole scene
+     */
+    constructor(options = {}) {
+        this.globalData = new SceneGlobalData();
+        this.cameraData = new SceneCameraData();
+        this.lights = [];              // SceneLightData[]
+        this.objects = {};             // only "root", glTF nodes have no master objects
+        this.meshes = {};              // meshfile key → triangle soup, see buildTriangleSoup
+        this.images = {};              // texture filename key → bytes, for images inside the file
+        this.lenient = !!options.lenient;
+        this.diagnostics = [];         // {severity, message, path, line, column}
+        this._sources = new Map();     // SceneNode / ScenePrimitive → {path, line, column}, JSON path only
+        this._json = null;
+        this._buffers = [];            // ArrayBuffer per glTF buffer
+        this._name = "scene";
+        this._readFile = fetchFile;
+        this._cameraFound = false;     // the first camera in the scene is used
+    }
+
+    /**
+     * Parse a .gltf (JSON text) or .glb (binary) file and populate fields.
+     * filename names the meshes and images taken from the file.
+     * readFile(uri) resolves to the ArrayBuffer of an external buffer, by default it is
+     * fetched relative to the page like OBJ meshes. External images are left to the caller.
+     * Returns a Promise that resolves to true/false; getDiagnostics() tells why.
+     */
+    async parseFromBuffer(arrayBuffer, filename = "scene.gltf", readFile = fetchFile) {
+        this.diagnostics = [];
+        this._name = filename;
+        this._readFile = readFile;
+
+        let binChunk = null;
+        try {
+            const view = new DataView(arrayBuffer);
+            if (arrayBuffer.byteLength >= 12 && view.getUint32(0, true) === GLB_MAGIC) {
+                ({ json: this._json, bin: binChunk } = this._readGLB(arrayBuffer));
+            } else {
+                this._json = JSON.parse(new TextDecoder().decode(arrayBuffer));
+            }
+        } catch (e) {
+            return this._error("", `Malformed glTF: ${e.message}`);
+        }
+
+        const json = this._json;
+        const version = json.asset && json.asset.version;
+        if (!version || !version.startsWith("2.")) {
+            return this._error("asset", `Unsupported glTF version ${version}, expected 2.x`);
+        }
+        for (const ext of json.extensionsRequired || []) {
+            if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+                return this._error("extensionsRequired", `Required extension ${ext} is not supported`);
+            }
+        }
+
+        try {
+            await this._loadBuffers(binChunk);
+        } catch (e) {
+            return this._error("buffers", e.message);
+        }
+
+        this._setDefaults();
+
+        const sceneIndex = json.scene || 0;
+        const scene = (json.scenes || [])[sceneIndex];
+        if (!scene) {
+            return this._error("scenes", "glTF file has no scene");
+        }
+
+        const root = new SceneNode();
+        this.objects["root"] = root;
+        const identity = mat4.create();
+        for (const nodeIndex of scene.nodes || []) {
+            const child = this._parseNode(nodeIndex, identity, new Set());
+            if (!child) return false;
+            root.children.push(child);
+        }
+        if (!this._cameraFound) {
+            this._warn(`scenes[${sceneIndex}]`, "No camera in the scene, using the default camera");
+        }
+        return true;
+    }
+
+    // split a .glb into its JSON and (optional) binary chunk
+    _readGLB(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const length = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+        let json = null, bin = null;
+        for (let offset = 12; offset + 8 <= length;) {
+            const chunkLength = view.getUint32(offset, true);
+            const chunkType = view.getUint32(offset + 4, true);
+            const start = offset + 8;
+            if (start + chunkLength > length) throw new Error("GLB chunk runs past the end of the file");
+            if (chunkType === GLB_CHUNK_JSON) {
+                json = JSON.parse(new TextDecoder().decode(new Uint8Array(arrayBuffer, start, chunkLength)));
+            } else if (chunkType === GLB_CHUNK_BIN && !bin) {
+                bin = arrayBuffer.slice(start, start + chunkLength);
+            }
+            offset = start + chunkLength; // chunks are 4-byte aligned already
+        }
+        if (!json) throw new Error("GLB has no JSON chunk");
+        return { json, bin };
+    }
+
+    async _loadBuffers(binChunk) {
+        this._buffers = await Promise.all((this._json.buffers || []).map(async (buffer, i) => {
+            if (buffer.uri === undefined) {
+                // the GLB binary chunk
+                if (i !== 0 || !binChunk) throw new Error(`buffers[${i}] has no uri and there is no GLB binary chunk`);
+                return binChunk;
+            }
+            return this._readFile(uriToFileName(buffer.uri)); // data: uris included
+        }));
+    }
+
+    // glTF colors are absolute, so the global coefficients don't scale anything
+    _setDefaults() {
+        this.cameraData.isDir = false;
+        this.cameraData.pos = [5, 5, 5];
+        this.cameraData.up = [0, 1, 0];
+        this.cameraData.lookAt = [0, 0, 0];
+        this.cameraData.heightAngle = 45.0;
+        this.cameraData.aspectRatio = 1.0;
+        this.cameraData.aperture = 0.0;
+        this.cameraData.focalLength = 1.0;
+
+        this.globalData.ka = 1.0;
+        this.globalData.kd = 1.0;
+        this.globalData.ks = 1.0;
+        this.globalData.kt = 1.0;
+    }
+
+    /**
+     * Build the SceneNode for nodes[index] and its subtree.
+     * parentWorld is the column-major world matrix of the parent, for cameras and lights.
+     * Returns null on an error.
+     */
+    _parseNode(index, parentWorld, visiting) {
+        const path = `nodes[${index}]`;
+        const gltfNode = (this._json.nodes || [])[index];
+        if (!gltfNode) {
+            this._error(path, `Missing node ${index}`);
+            return null;
+        }
+        if (visiting.has(index)) {
+            this._error(path, "Node hierarchy has a cycle");
+            return null;
+        }
+        visiting.add(index);
+
+        const node = new SceneNode();
+        this._sources.set(node, { path, line: null, column: null });
+        const local = mat4.create();
+        if (gltfNode.matrix) {
+            // glTF matrices are column-major, SceneTransformation wants row-major
+            const t = new SceneTransformation();
+            t.type = TransformationType.TRANSFORMATION_MATRIX;
+            mat4.transpose(t.matrix, gltfNode.matrix);
+            node.transformations.push(t);
+            mat4.copy(local, gltfNode.matrix);
+        } else {
+            const translation = gltfNode.translation || [0, 0, 0];
+            const rotation = gltfNode.rotation || [0, 0, 0, 1];
+            const scale = gltfNode.scale || [1, 1, 1];
+            // T * R * S, applied in that order like the transformations of a <transblock>
+            if (gltfNode.translation) {
+                const t = new SceneTransformation();
+                t.type = TransformationType.TRANSFORMATION_TRANSLATE;
+                t.translate = translation.slice();
+                node.transformations.push(t);
+            }
+            if (gltfNode.rotation) {
+                const axis = vec3.create();
+                const angle = quat.getAxisAngle(axis, rotation);
+                if (Math.abs(angle) > 1e-7) {
+                    const t = new SceneTransformation();
+                    t.type = TransformationType.TRANSFORMATION_ROTATE;
+                    t.rotate = Array.from(axis);
+                    t.angle = angle;
+                    node.transformations.push(t);
+                }
+            }
+            if (gltfNode.scale) {
+                const t = new SceneTransformation();
+                t.type = TransformationType.TRANSFORMATION_SCALE;
+                t.scale = scale.slice();
+                node.transformations.push(t);
+            }
+            mat4.fromRotationTranslationScale(local, rotation, translation, scale);
+        }
+        const world = mat4.multiply(mat4.create(), parentWorld, local);
+
+        if (gltfNode.mesh !== undefined && !this._parseMesh(gltfNode.mesh, node)) {
+            return null;
+        }
+        if (gltfNode.camera !== undefined) {
+            this._parseCamera(gltfNode.camera, world);
+        }
+        const lightExt = gltfNode.extensions && gltfNode.extensions.KHR_lights_punctual;
+        if (lightExt && !this._parseLight(lightExt.light, world)) {
+            return null;
+        }
+
+        for (const childIndex of gltfNode.children || []) {
+            const child = this._parseNode(childIndex, world, visiting);
+            if (!child) return null;
+            node.children.push(child);
+        }
+        visiting.delete(index);
+        return node;
+    }
+
+    /**
+     * Read accessors[index] into a flat array of numbers (normalized integers become floats).
+     * Returns { data, size } with size components per element.
+     */
+    _readAccessor(index) {
+        const accessor = (this._json.accessors || [])[index];
+        if (!accessor) throw new Error(`Missing accessor ${index}`);
+        if (accessor.sparse) throw new Error(`accessors[${index}] is sparse, which is not supported`);
+        const componentType = COMPONENT_TYPES[accessor.componentType];
+        const size = TYPE_SIZES[accessor.type];
+        if (!componentType || !size) throw new Error(`accessors[${index}] has an unknown component type or type`);
+
+        const count = accessor.count;
+        const data = new Float32Array(count * size);
+        if (accessor.bufferView === undefined) {
+            return { data, size }; // all zeros, per the spec
+        }
+        const bufferView = this._json.bufferViews[accessor.bufferView];
+        const buffer = this._buffers[bufferView.buffer];
+        const [componentBytes, getter] = componentType;
+        const elementBytes = componentBytes * size;
+        const stride = bufferView.byteStride || elementBytes;
+        const start = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+        if (start + stride * (count - 1) + elementBytes > buffer.byteLength) {
+            throw new Error(`accessors[${index}] runs past the end of its buffer`);
+        }
+
+        // a DataView copes with any stride and alignment, glTF data is little-endian
+        const view = new DataView(buffer);
+        const scale = accessor.normalized ? NORMALIZE_SCALE[accessor.componentType] : 0;
+        for (let i = 0; i < count; i++) {
+            for (let c = 0; c < size; c++) {
+                const value = view[getter](start + i * stride + c * componentBytes, true);
+                data[i * size + c] = scale ? Math.max(value / scale, -1) : value;
+            }
+        }
+        return { data, size };
+    }
+
+    // one ScenePrimitive per glTF mesh primitive, all under the node that uses the mesh
+    _parseMesh(meshIndex, node) {
+        const mesh = (this._json.meshes || [])[meshIndex];
+        if (!mesh) return this._error(`meshes[${meshIndex}]`, `Missing mesh ${meshIndex}`);
+
+        for (let p = 0; p < mesh.primitives.length; p++) {
+            const path = `meshes[${meshIndex}].primitives[${p}]`;
+            const gltfPrim = mesh.primitives[p];
+            const mode = gltfPrim.mode === undefined ? MODE_TRIANGLES : gltfPrim.mode;
+            if (mode !== MODE_TRIANGLES && mode !== MODE_TRIANGLE_STRIP && mode !== MODE_TRIANGLE_FAN) {
+                if (!this._recoverable(path, `Primitive mode ${mode} (points or lines) is not supported`)) return false;
+                continue;
+            }
+            const attributes = gltfPrim.attributes || {};
+            if (attributes.POSITION === undefined) {
+                if (!this._recoverable(path, "Primitive has no POSITION attribute")) return false;
+                continue;
+            }
+
+            // the same mesh used by several nodes shares one meshfile key, so it is packed once
+            const meshfile = `${this._name}#mesh${meshIndex}.${p}`;
+            if (!this.meshes[meshfile]) {
+                try {
+                    const positions = this._readAccessor(attributes.POSITION).data;
+                    const normals = attributes.NORMAL !== undefined ? this._readAccessor(attributes.NORMAL).data : null;
+                    const uvs = attributes.TEXCOORD_0 !== undefined ? this._readAccessor(attributes.TEXCOORD_0).data : null;
+                    const vertexCount = positions.length / 3;
+                    let indices = gltfPrim.indices !== undefined
+                        ? Array.from(this._readAccessor(gltfPrim.indices).data)
+                        : Array.from({ length: vertexCount }, (_, i) => i);
+                    indices = triangulate(indices, mode);
+                    indices = indices.slice(0, indices.length - indices.length % 3);
+                    if (indices.some(i => i >= vertexCount)) {
+                        throw new Error("Primitive indices reference a missing vertex");
+                    }
+                    if (indices.length === 0) {
+                        if (!this._recoverable(path, "Primitive has no triangles")) return false;
+                        continue;
+                    }
+                    this.meshes[meshfile] = buildTriangleSoup(indices, positions, normals, uvs);
+                } catch (e) {
+                    return this._error(path, e.message);
+                }
+            }
+
+            const primitive = new ScenePrimitive();
+            primitive.type = PrimitiveType.SHAPE_MESH;
+            primitive.meshfile = meshfile;
+            if (gltfPrim.material !== undefined) {
+                this._parseMaterial(gltfPrim.material, primitive.material);
+            }
+            node.primitives.push(primitive);
+            this._sources.set(primitive, { path, line: null, column: null });
+        }
+        return true;
+    }
+
+    /**
+     * Map a metallic-roughness material onto the Phong material:
+     * base color → cDiffuse (texture with blend 1), metallic → reflective and specular color,
+     * roughness → shininess, normal map → bump map, emissive → cEmissive.
+     */
+    _parseMaterial(index, mat) {
+        const material = (this._json.materials || [])[index];
+        if (!material) {
+            this._warn(`materials[${index}]`, `Missing material ${index}, using the default`);
+            return;
+        }
+        const path = `materials[${index}]`;
+        const pbr = material.pbrMetallicRoughness || {};
+        const ext = material.extensions || {};
+
+        const base = pbr.baseColorFactor || [1, 1, 1, 1];
+        mat.cDiffuse = { r: base[0], g: base[1], b: base[2], a: base[3] };
+        if (pbr.baseColorTexture) {
+            const map = this._textureMap(pbr.baseColorTexture, "srgb", `${path}.baseColorTexture`);
+            if (map) {
+                mat.textureMap = map;
+                mat.blend = 1.0;
+            }
+        }
+
+        const metallic = pbr.metallicFactor === undefined ? 1.0 : pbr.metallicFactor;
+        const roughness = pbr.roughnessFactor === undefined ? 1.0 : pbr.roughnessFactor;
+        // dielectrics reflect about 4% white, metals reflect their base color
+        const specular = c => 0.04 * (1 - metallic) + c * metallic;
+        mat.cSpecular = { r: specular(base[0]), g: specular(base[1]), b: specular(base[2]), a: 1 };
+        const mirror = metallic * (1 - roughness);
+        mat.cReflective = { r: base[0] * mirror, g: base[1] * mirror, b: base[2] * mirror, a: 1 };
+        // Blinn-Phong exponent with about the same highlight width as GGX alpha = roughness^2
+        const alpha = Math.max(roughness * roughness, 1e-3);
+        mat.shininess = Math.min(Math.max(2 / (alpha * alpha) - 2, 1), 10000);
+
+        if (material.normalTexture) {
+            const map = this._textureMap(material.normalTexture, "linear", `${path}.normalTexture`);
+            if (map) {
+                map.format = "normal";
+                map.strength = material.normalTexture.scale === undefined ? 1.0 : material.normalTexture.scale;
+                mat.bumpMap = map;
+            }
+        }
+
+        const emissive = material.emissiveFactor || [0, 0, 0];
+        const strength = ext.KHR_materials_emissive_strength
+            ? ext.KHR_materials_emissive_strength.emissiveStrength : 1.0;
+        mat.cEmissive = { r: emissive[0] * strength, g: emissive[1] * strength, b: emissive[2] * strength, a: 1 };
+
+        if (ext.KHR_materials_ior && ext.KHR_materials_ior.ior !== undefined) {
+            mat.ior = ext.KHR_materials_ior.ior;
+        } else {
+            mat.ior = 1.5; // the glTF default
+        }
+        if (ext.KHR_materials_transmission) {
+            const t = ext.KHR_materials_transmission.transmissionFactor || 0;
+            mat.cTransparent = { r: t, g: t, b: t, a: 1 };
+        }
+    }
+
+    /**
+     * SceneFileMap for a textureInfo. Images inside the file get a "<file>#image<n>" name
+     * and their bytes in getImages(), external ones are named by their decoded uri.
+     */
+    _textureMap(info, colorSpace, path) {
+        const texture = (this._json.textures || [])[info.index];
+        const imageIndex = texture && texture.source;
+        const image = imageIndex !== undefined && (this._json.images || [])[imageIndex];
+        if (!image) {
+            this._warn(path, `Texture ${info.index} has no image, ignored`);
+            return null;
+        }
+        if (info.texCoord) {
+            this._warn(path, `TEXCOORD_${info.texCoord} is not supported, using TEXCOORD_0`);
+        }
+
+        const map = new SceneFileMap();
+        map.isUsed = true;
+        map.colorSpace = colorSpace;
+        if (image.uri !== undefined) {
+            map.filename = uriToFileName(image.uri);
+        } else {
+            map.filename = `${this._name}#image${imageIndex}`;
+            if (!this.images[map.filename]) {
+                const bufferView = this._json.bufferViews[image.bufferView];
+                const start = bufferView.byteOffset || 0;
+                this.images[map.filename] = new Uint8Array(
+                    this._buffers[bufferView.buffer].slice(start, start + bufferView.byteLength));
+            }
+        }
+        // only the scale of KHR_texture_transform fits repeatU/repeatV
+        const transform = info.extensions && info.extensions.KHR_texture_transform;
+        if (transform && transform.scale) {
+            map.repeatU = transform.scale[0];
+            map.repeatV = transform.scale[1];
+        }
+        return map;
+    }
+
+    // the first camera in the scene wins, placed by its node's world matrix
+    _parseCamera(index, world) {
+        if (this._cameraFound) return;
+        const camera = (this._json.cameras || [])[index];
+        if (!camera) {
+            this._warn(`cameras[${index}]`, `Missing camera ${index}`);
+            return;
+        }
+        this._cameraFound = true;
+
+        // glTF cameras look down -Z with +Y up
+        this.cameraData.isDir = true;
+        this.cameraData.pos = [world[12], world[13], world[14]];
+        this.cameraData.look = [-world[8], -world[9], -world[10]];
+        this.cameraData.up = [world[4], world[5], world[6]];
+        if (camera.type === "perspective" && camera.perspective) {
+            this.cameraData.heightAngle = camera.perspective.yfov * RAD_TO_DEG;
+            if (camera.perspective.aspectRatio) {
+                this.cameraData.aspectRatio = camera.perspective.aspectRatio;
+            }
+        } else {
+            this._warn(`cameras[${index}]`, "Orthographic cameras are not supported, using a perspective camera");
+        }
+    }
+
+    // KHR_lights_punctual light, placed by its node's world matrix
+    _parseLight(index, world) {
+        const lights = this._json.extensions && this._json.extensions.KHR_lights_punctual
+            ? this._json.extensions.KHR_lights_punctual.lights : [];
+        const gltfLight = lights[index];
+        const path = `extensions.KHR_lights_punctual.lights[${index}]`;
+        if (!gltfLight) return this._recoverable(path, `Missing light ${index}`);
+
+        const light = new SceneLightData();
+        light.id = this.lights.length;
+        const color = gltfLight.color || [1, 1, 1];
+        const intensity = gltfLight.intensity === undefined ? 1.0 : gltfLight.intensity;
+        light.color = { r: color[0] * intensity, g: color[1] * intensity, b: color[2] * intensity, a: 1 };
+        light.pos = [world[12], world[13], world[14]];
+        const dir = vec3.normalize(vec3.create(), [-world[8], -world[9], -world[10]]);
+        light.dir = Array.from(dir);
+
+        switch (gltfLight.type) {
+            case "directional":
+                light.type = LightType.LIGHT_DIRECTIONAL;
+                light.function = [1, 0, 0];
+                break;
+            case "point":
+                light.type = LightType.LIGHT_POINT;
+                light.function = [0, 0, 1]; // inverse square falloff
+                break;
+            case "spot": {
+                light.type = LightType.LIGHT_SPOT;
+                light.function = [0, 0, 1];
+                const spot = gltfLight.spot || {};
+                const outer = spot.outerConeAngle === undefined ? Math.PI / 4 : spot.outerConeAngle;
+                const inner = spot.innerConeAngle || 0;
+                light.angle = outer;
+                light.penumbra = Math.max(outer - inner, 0);
+                break;
+            }
+            default:
+                return this._recoverable(path, `Unknown light type ${gltfLight.type}`);
+        }
+        this.lights.push(light);
+        return true;
+    }
+
+    getDiagnostics() {
+        return this.diagnostics.slice();
+    }
+
+    /**
+     * Record a diagnostic at a JSON path like "meshes[0].primitives[1]" and log it.
+     * glTF has no useful line numbers, so line and column stay null.
+     * Returns false for errors, true otherwise.
+     */
+    _report(severity, path, message) {
+        this.diagnostics.push({ severity, message, path, line: null, column: null });
+        (severity === "error" ? console.error : console.warn)(path ? `${message} (${path})` : message);
+        return severity !== "error";
+    }
+
+    _error(path, message) {
+        return this._report("error", path, message);
+    }
+
+    _warn(path, message) {
+        return this._report("warning", path, message);
+    }
+
+    _recoverable(path, message) {
+        return this._report(this.lenient ? "warning" : "error", path, message);
+    }
+
+    getRootNode() {
+        return this.objects["root"] || null;
+    }
+
+    // where a SceneNode or ScenePrimitive came from, like XMLSceneParser.getSource
+    getSource(item) {
+        return this._sources.get(item) || null;
+    }
+
+    getObjects() {
+        return Object.assign({}, this.objects);
+    }
+
+    getObjectNames() {
+        return Object.keys(this.objects);
+    }
+
+    getLights() {
+        return this.lights.slice();
+    }
+
+    getCameraData() {
+        return Object.assign({}, this.cameraData);
+    }
+
+    getGlobalData() {
+        return Object.assign({}, this.globalData);
+    }
+
+    /**
+     * Meshes read from the file, meshfile key → triangle soup (same shape as loadOBJFromText).
+     */
+    getMeshes() {
+        return Object.assign({}, this.meshes);
+    }
+
+    /**
+     * Images stored inside the file, texture filename → encoded bytes.
+     */
+    getImages() {
+        return Object.assign({}, this.images);
+    }
+}
+
+export { GLTFSceneParser };
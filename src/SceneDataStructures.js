@@ -23,6 +23,15 @@ const PrimitiveType = {
     SHAPE_MESH:     7
 };
 
+// primitive names as written in scene files
+const PRIMITIVE_NAMES = {
+    [PrimitiveType.SHAPE_CUBE]:     "cube",
+    [PrimitiveType.SHAPE_CYLINDER]: "cylinder",
+    [PrimitiveType.SHAPE_CONE]:     "cone",
+    [PrimitiveType.SHAPE_SPHERE]:   "sphere",
+    [PrimitiveType.SHAPE_MESH]:     "mesh"
+};
+
 // Data structures
 
 class SceneGlobalData {
@@ -55,6 +64,9 @@ class SceneFileMap {
         this.repeatU = 1.0;
         this.repeatV = 1.0;
         this.textureIndex = 0; // new for a4 since files reference texture mapping 
+        this.colorSpace = "linear"; // "srgb": texels are decoded to linear when sampled
+        this.format = "height";     // bump maps only: "height" or "normal" (tangent space)
+        this.strength = 1.0;        // bump maps only: height scale, or normal map xy scale
     }
 }
 
@@ -110,8 +122,8 @@ class SceneLightData {
         this.pos = [0, 0, 0];
         this.dir = [0, 0, -1];
         this.radius = 0.0;      // for spot lights
-        this.penumbra = 0.0;    // for spot lights
-        this.angle = 0.0;       // for spot lights (radians)
+        this.penumbra = 0.0;    // for spot lights (radians), width of the soft edge inside angle
+        this.angle = 0.0;       // for spot lights (radians), half angle of the outer cone
         this.width = 0.0;       // for area lights
         this.height = 0.0;      // for area lights
     }
@@ -121,6 +133,7 @@ export {
     LightType,
     TransformationType,
     PrimitiveType,
+    PRIMITIVE_NAMES,
     SceneGlobalData,
     SceneCameraData,
     SceneFileMap,
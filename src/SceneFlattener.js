@@ -1,4 +1,29 @@
-import { TransformationType } from './SceneDataStructures.js';
+import { TransformationType, PrimitiveType } from './SceneDataStructures.js';
+
+const LIGHT_TEXELS = 5; // RGBA32F texels per light, must match test.frag
+const MESH_LEAF_SIZE = 4; // triangles per leaf of a mesh BVH
+
+// reorder order[start, end) so order[k] holds what would sort there by key,
+// with nothing larger before it and nothing smaller after it (Hoare's selection)
+function selectNth(order, start, end, k, key) {
+    let lo = start, hi = end - 1;
+    while (hi > lo) {
+        const pivot = key(order[(lo + hi) >> 1]);
+        let i = lo, j = hi;
+        while (i <= j) {
+            while (key(order[i]) < pivot) i++;
+            while (key(order[j]) > pivot) j--;
+            if (i <= j) {
+                const tmp = order[i];
+                order[i++] = order[j];
+                order[j--] = tmp;
+            }
+        }
+        if (k <= j) hi = j;
+        else if (k >= i) lo = i;
+        else break;
+    }
+}
 
 /**
  * SceneFlattener
@@ -6,13 +31,27 @@ import { TransformationType } from './SceneDataStructures.js';
  *   - flatten(): flatten tree and pack into Float32Array
  *   - getFloat32Array(): returns the packed Float32Array
  *   - getObjectCount(): returns number of objects flattened
+ *   - getObject(index): the flattened object, with the primitive and node chain it came from
+ *   - getMeshFiles(): unique mesh files referenced by SHAPE_MESH objects
+ *   - getEmissiveObjects(): indices of the objects with an emissive color
+ *   - packLights(lights): pack the lights and emissive objects into the light buffer
+ *   - packMeshes(meshes): pack loaded meshes into the mesh buffer
+ *   - buildBVH(): build a bounding volume hierarchy over the flattened objects
  */
 export class SceneFlattener {
     constructor(rootNode) {
         this.rootNode = rootNode;
         this.objectList = [];
-        this.floatsPerObject = 1 + 16 + 18; // type + 4x4 matrix + material(18)
+        // type + world matrix + world-to-object matrix + normal matrix (3x3) + material(21) + mesh index + bump map(6) + blend + emissive(3)
+        this.floatsPerObject = 1 + 16 + 16 + 9 + 21 + 1 + 6 + 1 + 3;
+        this.meshTexWidth = 1024; // texels per row of the mesh buffer texture
+        this.bvhTexWidth = 1024;  // texels per row of the BVH texture
+        this.lightTexWidth = 1024; // texels per row of the light texture
+        this.maxLeafSize = 2;     // objects per BVH leaf
+        this.meshBounds = [];     // object space {min, max} per mesh index
         this._dataArray = null;
+        this._meshArray = null;
+        this._bvhArray = null;
         this._flattened = false;
     }
 
@@ -28,38 +67,334 @@ export class SceneFlattener {
             0, 0, 1, 0,
             0, 0, 0, 1
         ]);
-        this._traverseNode(this.rootNode, identityMat);
+        this._traverseNode(this.rootNode, identityMat, []);
         this._indexTextureMaps(); // new for a4 
+        this._indexMeshes();
+        this._indexEmissive();
         this._buildDataArray();
         this._flattened = true;
     }
 
     // new for a4 - handle texture mapping 
     // build a list of unique textures and assign them indices 
+    // bump maps share the table with the color textures
     _indexTextureMaps() {
         this.textureMaps = [];
         for (let obj of this.objectList) {
-            const map = obj.material.textureMap;
-            if (!map.isUsed) {
+            for (const map of [obj.material.textureMap, obj.material.bumpMap]) {
+                if (!map.isUsed) {
+                    continue;
+                }
+                // the same file in two color spaces needs two textures
+                let idx = this.textureMaps.findIndex(m => m.filename === map.filename && m.colorSpace === map.colorSpace);
+                if (idx < 0) {
+                    idx = this.textureMaps.length;
+                    this.textureMaps.push(map);
+                }
+                map.textureIndex = idx;
+            }
+        }
+    }
+
+    getTextureMaps() {
+        return this.textureMaps || []; 
+    }
+
+    // objects with a non-black emissive color, they double as lights
+    _indexEmissive() {
+        this.emissiveObjects = [];
+        this.objectList.forEach((obj, i) => {
+            const e = obj.material.cEmissive;
+            if (e.r > 0 || e.g > 0 || e.b > 0) {
+                this.emissiveObjects.push(i);
+            }
+        });
+    }
+
+    getEmissiveObjects() {
+        return this.emissiveObjects || [];
+    }
+
+    // pack lights for the shader, LIGHT_TEXELS texels each:
+    //   (type, r, g, b) (pos.xyz, radius) (dir.xyz, penumbra) (angle, width, height, 0) (function.xyz, 0)
+    // followed by one texel per emissive object, holding its object index in x
+    packLights(lights) {
+        const emissive = this.getEmissiveObjects();
+        this.lightCount = lights.length;
+        this.emissiveStart = lights.length * LIGHT_TEXELS;
+        const texels = this.emissiveStart + emissive.length;
+        const rows = Math.max(1, Math.ceil(texels / this.lightTexWidth));
+        const data = new Float32Array(rows * this.lightTexWidth * 4);
+        lights.forEach((L, i) => {
+            data.set([
+                L.type, L.color.r, L.color.g, L.color.b,
+                L.pos[0], L.pos[1], L.pos[2], L.radius,
+                L.dir[0], L.dir[1], L.dir[2], L.penumbra,
+                L.angle, L.width, L.height, 0,
+                L.function[0], L.function[1], L.function[2], 0
+            ], i * LIGHT_TEXELS * 4);
+        });
+        emissive.forEach((objectIndex, k) => {
+            data[(this.emissiveStart + k) * 4] = objectIndex;
+        });
+        return data;
+    }
+
+    // build a list of unique mesh files and assign them indices
+    _indexMeshes() {
+        this.meshFiles = [];
+        for (let obj of this.objectList) {
+            if (obj.type !== PrimitiveType.SHAPE_MESH) {
+                obj.meshIndex = -1;
                 continue;
             }
-            let idx = this.textureMaps.findIndex(m => m.filename === map.filename);
+            let idx = this.meshFiles.indexOf(obj.meshfile);
             if (idx < 0) {
-                idx = this.textureMaps.length;
-                this.textureMaps.push(map);
+                idx = this.meshFiles.length;
+                this.meshFiles.push(obj.meshfile);
             }
-            map.textureIndex = idx;
+            obj.meshIndex = idx;
         }
     }
 
-    getTextureMaps() {
-        return this.textureMaps || []; 
+    getMeshFiles() {
+        return this.meshFiles || [];
+    }
+
+    /**
+     * Pack meshes (ordered like getMeshFiles(), as returned by loadOBJFromText)
+     * into one RGBA32F buffer. Layout in texels (4 floats each):
+     *   header, 3 texels per mesh: (triStart, triCount, bvhStart, 0), (min.xyz, 0), (max.xyz, 0)
+     *   per mesh, its triangles, 6 texels each: per corner (pos.xyz, u), (normal.xyz, v)
+     *   followed by its BVH nodes, 2 texels each, laid out like buildBVH's nodes
+     *     with leaves holding triangles [firstIndex, firstIndex + count) of the mesh
+     * triStart and bvhStart are texel indices. Triangles are stored in BVH leaf order.
+     */
+    packMeshes(meshes) {
+        this.meshBounds = meshes.map(mesh => ({ min: mesh.min, max: mesh.max }));
+        const bvhs = meshes.map(mesh => this._buildMeshBVH(mesh));
+        const headerTexels = meshes.length * 3;
+        let totalTexels = headerTexels;
+        meshes.forEach((mesh, m) => {
+            totalTexels += mesh.triangleCount * 6 + bvhs[m].nodeCount * 2;
+        });
+        // pad to whole rows of the mesh texture (at least one texel)
+        const rows = Math.max(1, Math.ceil(totalTexels / this.meshTexWidth));
+        const data = new Float32Array(rows * this.meshTexWidth * 4);
+
+        let triStart = headerTexels;
+        meshes.forEach((mesh, m) => {
+            const { nodes, nodeCount, order } = bvhs[m];
+            const bvhStart = triStart + mesh.triangleCount * 6;
+            let o = m * 3 * 4;
+            data.set([triStart, mesh.triangleCount, bvhStart, 0], o);
+            data.set([...mesh.min, 0], o + 4);
+            data.set([...mesh.max, 0], o + 8);
+
+            o = triStart * 4;
+            for (let k = 0; k < mesh.triangleCount; k++) {
+                for (let c = order[k] * 3; c < order[k] * 3 + 3; c++) {
+                    data[o++] = mesh.positions[c * 3];
+                    data[o++] = mesh.positions[c * 3 + 1];
+                    data[o++] = mesh.positions[c * 3 + 2];
+                    data[o++] = mesh.uvs[c * 2];
+                    data[o++] = mesh.normals[c * 3];
+                    data[o++] = mesh.normals[c * 3 + 1];
+                    data[o++] = mesh.normals[c * 3 + 2];
+                    data[o++] = mesh.uvs[c * 2 + 1];
+                }
+            }
+            data.set(nodes.subarray(0, nodeCount * 8), bvhStart * 4);
+            triStart = bvhStart + nodeCount * 2;
+        });
+        this._meshArray = data;
+        return data;
+    }
+
+    /**
+     * BVH over the triangles of one mesh, split at the median of the longest centroid
+     * axis like buildBVH, so scanned models don't test every triangle per ray.
+     * Returns { nodes, nodeCount, order }: 8 floats per node as buildBVH packs them,
+     * leaves refer to positions in order, which lists the mesh's triangles in leaf order.
+     */
+    _buildMeshBVH(mesh) {
+        const n = mesh.triangleCount;
+        const p = mesh.positions;
+        const lo = new Float32Array(n * 3);
+        const hi = new Float32Array(n * 3);
+        const centroid = new Float32Array(n * 3);
+        for (let t = 0; t < n; t++) {
+            for (let a = 0; a < 3; a++) {
+                const x0 = p[t * 9 + a], x1 = p[t * 9 + 3 + a], x2 = p[t * 9 + 6 + a];
+                lo[t * 3 + a] = Math.min(x0, x1, x2);
+                hi[t * 3 + a] = Math.max(x0, x1, x2);
+                centroid[t * 3 + a] = 0.5 * (lo[t * 3 + a] + hi[t * 3 + a]);
+            }
+        }
+        const order = new Uint32Array(n);
+        for (let t = 0; t < n; t++) order[t] = t;
+
+        // median splits leave at least 2 triangles per leaf, so there are fewer nodes than triangles
+        const nodes = new Float32Array(Math.max(n, 1) * 8);
+        let nodeCount = 1;
+        const build = (node, start, end) => {
+            const min = [Infinity, Infinity, Infinity];
+            const max = [-Infinity, -Infinity, -Infinity];
+            const cmin = [Infinity, Infinity, Infinity];
+            const cmax = [-Infinity, -Infinity, -Infinity];
+            for (let i = start; i < end; i++) {
+                const t = order[i] * 3;
+                for (let a = 0; a < 3; a++) {
+                    min[a] = Math.min(min[a], lo[t + a]);
+                    max[a] = Math.max(max[a], hi[t + a]);
+                    cmin[a] = Math.min(cmin[a], centroid[t + a]);
+                    cmax[a] = Math.max(cmax[a], centroid[t + a]);
+                }
+            }
+            const o = node * 8;
+            nodes.set(min, o);
+            nodes.set(max, o + 4);
+            if (end - start <= MESH_LEAF_SIZE) {
+                nodes[o + 3] = start;
+                nodes[o + 7] = end - start;
+                return;
+            }
+            const ext = [0, 1, 2].map(a => cmax[a] - cmin[a]);
+            const axis = ext.indexOf(Math.max(...ext));
+            const mid = (start + end) >> 1;
+            selectNth(order, start, end, mid, t => centroid[t * 3 + axis]);
+
+            // children are allocated next to each other
+            const left = nodeCount;
+            nodeCount += 2;
+            nodes[o + 3] = left;
+            nodes[o + 7] = -(axis + 1);
+            build(left, start, mid);
+            build(left + 1, mid, end);
+        };
+        build(0, 0, n);
+        return { nodes, nodeCount, order };
+    }
+
+    getMeshFloat32Array() {
+        return this._meshArray;
+    }
+
+    // world space bounding box of a flattened object
+    _objectBounds(obj) {
+        // unit shapes live in [-0.5, 0.5]^3, meshes use the bounds of their vertices
+        let lo = [-0.5, -0.5, -0.5];
+        let hi = [0.5, 0.5, 0.5];
+        if (obj.type === PrimitiveType.SHAPE_MESH && this.meshBounds[obj.meshIndex]) {
+            lo = this.meshBounds[obj.meshIndex].min;
+            hi = this.meshBounds[obj.meshIndex].max;
+        }
+        const M = obj.worldMatrix;
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        // transform all 8 corners (row-major matrix)
+        for (let c = 0; c < 8; c++) {
+            const p = [c & 1 ? hi[0] : lo[0], c & 2 ? hi[1] : lo[1], c & 4 ? hi[2] : lo[2]];
+            for (let r = 0; r < 3; r++) {
+                const v = M[r * 4] * p[0] + M[r * 4 + 1] * p[1] + M[r * 4 + 2] * p[2] + M[r * 4 + 3];
+                min[r] = Math.min(min[r], v);
+                max[r] = Math.max(max[r], v);
+            }
+        }
+        return { min, max };
+    }
+
+    /**
+     * Build a BVH over the world space bounds of every object (call after packMeshes
+     * so mesh bounds are known) and pack it for the shader. Layout in texels:
+     *   nodes, 2 texels each: (min.xyz, leftChild | firstIndex), (max.xyz, -(axis + 1) | count)
+     *     interior nodes store the left child, the right child is leftChild + 1,
+     *     and the split axis; leaves store the range [firstIndex, firstIndex + count)
+     *   object indices, one float each, starting at texel 2 * nodeCount
+     */
+    buildBVH() {
+        const items = this.objectList.map((obj, i) => {
+            const b = this._objectBounds(obj);
+            const centroid = [0, 1, 2].map(a => 0.5 * (b.min[a] + b.max[a]));
+            return { index: i, min: b.min, max: b.max, centroid };
+        });
+
+        const nodes = [];
+        const indices = [];
+        const makeNode = () => {
+            const node = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity], left: 0, count: 0, axis: 0 };
+            nodes.push(node);
+            return node;
+        };
+        const build = (node, list) => {
+            for (const it of list) {
+                for (let a = 0; a < 3; a++) {
+                    node.min[a] = Math.min(node.min[a], it.min[a]);
+                    node.max[a] = Math.max(node.max[a], it.max[a]);
+                }
+            }
+            if (list.length <= this.maxLeafSize) {
+                node.left = indices.length;
+                node.count = list.length;
+                for (const it of list) indices.push(it.index);
+                return;
+            }
+            // median split along the longest axis of the centroid bounds
+            const cmin = [Infinity, Infinity, Infinity];
+            const cmax = [-Infinity, -Infinity, -Infinity];
+            for (const it of list) {
+                for (let a = 0; a < 3; a++) {
+                    cmin[a] = Math.min(cmin[a], it.centroid[a]);
+                    cmax[a] = Math.max(cmax[a], it.centroid[a]);
+                }
+            }
+            const ext = [0, 1, 2].map(a => cmax[a] - cmin[a]);
+            const axis = ext.indexOf(Math.max(...ext));
+            list.sort((p, q) => p.centroid[axis] - q.centroid[axis]);
+            const mid = list.length >> 1;
+
+            // children are allocated next to each other
+            node.left = nodes.length;
+            node.axis = axis;
+            const leftChild = makeNode();
+            const rightChild = makeNode();
+            build(leftChild, list.slice(0, mid));
+            build(rightChild, list.slice(mid));
+        };
+        build(makeNode(), items);
+
+        const nodeTexels = nodes.length * 2;
+        const totalTexels = nodeTexels + Math.ceil(indices.length / 4);
+        const rows = Math.max(1, Math.ceil(totalTexels / this.bvhTexWidth));
+        const data = new Float32Array(rows * this.bvhTexWidth * 4);
+        nodes.forEach((node, n) => {
+            const o = n * 8;
+            data.set(node.min, o);
+            data[o + 3] = node.left;
+            data.set(node.max, o + 4);
+            // an empty scene gives a single leaf with count 0
+            const isLeaf = node.count > 0 || nodes.length === 1;
+            data[o + 7] = isLeaf ? node.count : -(node.axis + 1);
+        });
+        data.set(indices, nodeTexels * 4);
+
+        this.bvhNodeCount = nodes.length;
+        this._bvhArray = data;
+        return data;
+    }
+
+    getBVHFloat32Array() {
+        return this._bvhArray;
     }
 
     getObjectCount() {
         return this.objectList.length;
     }
 
+    getObject(index) {
+        return this.objectList[index] || null;
+    }
+
     getFloat32Array() {
         if (!this._flattened) {
             console.warn("SceneFlattener: call flatten() first.");
@@ -67,7 +402,10 @@ export class SceneFlattener {
         return this._dataArray;
     }
 
-    _traverseNode(node, parentMat) {
+    // parentNodes: the nodes above node, from the root down
+    _traverseNode(node, parentMat, parentNodes) {
+        const nodes = [...parentNodes, node];
+
         // 1) copy parentMat
         const currentMat = parentMat.slice();
 
@@ -83,14 +421,17 @@ export class SceneFlattener {
                 this.objectList.push({
                     type: prim.type,
                     worldMatrix: currentMat.slice(),
-                    material: prim.material
+                    material: prim.material,
+                    meshfile: prim.meshfile,
+                    primitive: prim, // back to the source, e.g. for picking
+                    nodes            // root first, a master used twice shows up in two chains
                 });
             }
         }
 
         // 4) recurse children
         for (const child of node.children) {
-            this._traverseNode(child, currentMat);
+            this._traverseNode(child, currentMat, nodes);
         }
     }
 
@@ -166,6 +507,35 @@ export class SceneFlattener {
         out.set(o);
     }
 
+    _invertMat4(M) {
+        // row-major inverse via cofactors, in double precision
+        const m = Array.from(M);
+        const inv = new Array(16);
+        inv[0] = m[5] * m[10] * m[15] - m[5] * m[11] * m[14] - m[9] * m[6] * m[15] + m[9] * m[7] * m[14] + m[13] * m[6] * m[11] - m[13] * m[7] * m[10];
+        inv[4] = -m[4] * m[10] * m[15] + m[4] * m[11] * m[14] + m[8] * m[6] * m[15] - m[8] * m[7] * m[14] - m[12] * m[6] * m[11] + m[12] * m[7] * m[10];
+        inv[8] = m[4] * m[9] * m[15] - m[4] * m[11] * m[13] - m[8] * m[5] * m[15] + m[8] * m[7] * m[13] + m[12] * m[5] * m[11] - m[12] * m[7] * m[9];
+        inv[12] = -m[4] * m[9] * m[14] + m[4] * m[10] * m[13] + m[8] * m[5] * m[14] - m[8] * m[6] * m[13] - m[12] * m[5] * m[10] + m[12] * m[6] * m[9];
+        inv[1] = -m[1] * m[10] * m[15] + m[1] * m[11] * m[14] + m[9] * m[2] * m[15] - m[9] * m[3] * m[14] - m[13] * m[2] * m[11] + m[13] * m[3] * m[10];
+        inv[5] = m[0] * m[10] * m[15] - m[0] * m[11] * m[14] - m[8] * m[2] * m[15] + m[8] * m[3] * m[14] + m[12] * m[2] * m[11] - m[12] * m[3] * m[10];
+        inv[9] = -m[0] * m[9] * m[15] + m[0] * m[11] * m[13] + m[8] * m[1] * m[15] - m[8] * m[3] * m[13] - m[12] * m[1] * m[11] + m[12] * m[3] * m[9];
+        inv[13] = m[0] * m[9] * m[14] - m[0] * m[10] * m[13] - m[8] * m[1] * m[14] + m[8] * m[2] * m[13] + m[12] * m[1] * m[10] - m[12] * m[2] * m[9];
+        inv[2] = m[1] * m[6] * m[15] - m[1] * m[7] * m[14] - m[5] * m[2] * m[15] + m[5] * m[3] * m[14] + m[13] * m[2] * m[7] - m[13] * m[3] * m[6];
+        inv[6] = -m[0] * m[6] * m[15] + m[0] * m[7] * m[14] + m[4] * m[2] * m[15] - m[4] * m[3] * m[14] - m[12] * m[2] * m[7] + m[12] * m[3] * m[6];
+        inv[10] = m[0] * m[5] * m[15] - m[0] * m[7] * m[13] - m[4] * m[1] * m[15] + m[4] * m[3] * m[13] + m[12] * m[1] * m[7] - m[12] * m[3] * m[5];
+        inv[14] = -m[0] * m[5] * m[14] + m[0] * m[6] * m[13] + m[4] * m[1] * m[14] - m[4] * m[2] * m[13] - m[12] * m[1] * m[6] + m[12] * m[2] * m[5];
+        inv[3] = -m[1] * m[6] * m[11] + m[1] * m[7] * m[10] + m[5] * m[2] * m[11] - m[5] * m[3] * m[10] - m[9] * m[2] * m[7] + m[9] * m[3] * m[6];
+        inv[7] = m[0] * m[6] * m[11] - m[0] * m[7] * m[10] - m[4] * m[2] * m[11] + m[4] * m[3] * m[10] + m[8] * m[2] * m[7] - m[8] * m[3] * m[6];
+        inv[11] = -m[0] * m[5] * m[11] + m[0] * m[7] * m[9] + m[4] * m[1] * m[11] - m[4] * m[3] * m[9] - m[8] * m[1] * m[7] + m[8] * m[3] * m[5];
+        inv[15] = m[0] * m[5] * m[10] - m[0] * m[6] * m[9] - m[4] * m[1] * m[10] + m[4] * m[2] * m[9] + m[8] * m[1] * m[6] - m[8] * m[2] * m[5];
+
+        const det = m[0] * inv[0] + m[1] * inv[4] + m[2] * inv[8] + m[3] * inv[12];
+        if (Math.abs(det) < 1e-12) {
+            console.warn("SceneFlattener: singular world matrix, using identity inverse.");
+            return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+        }
+        return inv.map(v => v / det);
+    }
+
     _buildDataArray() {
         const N = this.objectList.length;
         const fpo = this.floatsPerObject;
@@ -180,7 +550,18 @@ export class SceneFlattener {
             for (let j = 0; j < 16; j++) {
                 this._dataArray[offset++] = wm[j];
             }
-            // material (18 floats)
+            // world-to-object matrix (16 floats), so the shader never calls inverse()
+            const inv = this._invertMat4(wm);
+            for (let j = 0; j < 16; j++) {
+                this._dataArray[offset++] = inv[j];
+            }
+            // normal matrix (9 floats): upper 3x3 of transpose(inverse), row-major
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) {
+                    this._dataArray[offset++] = inv[c * 4 + r];
+                }
+            }
+            // material (21 floats)
             const m = obj.material;
             this._dataArray[offset++] = m.cAmbient.r;
             this._dataArray[offset++] = m.cAmbient.g;
@@ -200,6 +581,25 @@ export class SceneFlattener {
             this._dataArray[offset++] = m.cReflective.r;
             this._dataArray[offset++] = m.cReflective.g;
             this._dataArray[offset++] = m.cReflective.b;
+            this._dataArray[offset++] = m.cTransparent.r;
+            this._dataArray[offset++] = m.cTransparent.g;
+            this._dataArray[offset++] = m.cTransparent.b;
+            // mesh index (-1 for analytic shapes)
+            this._dataArray[offset++] = obj.meshIndex;
+            // bump map (6 floats): use, texture index, repeatU, repeatV, format (0 height, 1 normal), strength
+            const bump = m.bumpMap;
+            this._dataArray[offset++] = (bump.isUsed ? 1.0 : 0.0);
+            this._dataArray[offset++] = bump.textureIndex;
+            this._dataArray[offset++] = bump.repeatU;
+            this._dataArray[offset++] = bump.repeatV;
+            this._dataArray[offset++] = (bump.format === "normal" ? 1.0 : 0.0);
+            this._dataArray[offset++] = bump.strength;
+            // blend between diffuse color (0) and texture (1)
+            this._dataArray[offset++] = m.blend;
+            // emitted radiance
+            this._dataArray[offset++] = m.cEmissive.r;
+            this._dataArray[offset++] = m.cEmissive.g;
+            this._dataArray[offset++] = m.cEmissive.b;
         }
     }
 }
\ No newline at end of file
@@ -1,37 +1,54 @@
 import { SceneGlobalData, SceneCameraData, SceneLightData, SceneNode, SceneTransformation, ScenePrimitive, TransformationType, PrimitiveType, LightType, SceneFileMap } from './SceneDataStructures.js';
 // Helper parsing functions
 
+/**
+ * Parse attribute name of elem as a number. A missing or malformed value is reported
+ * through warn and still comes back as NaN, like parseFloat gives it.
+ */
+function parseNumber(elem, name, warn = console.warn) {
+    const text = elem.getAttribute(name);
+    const val = parseFloat(text);
+    if (!Number.isFinite(val)) {
+        warn(text === null
+            ? `<${elem.tagName}> has no ${name} attribute`
+            : `<${elem.tagName}> ${name}="${text}" is not a number`);
+    }
+    return val;
+}
+
 /**
  * Parse a <translate> or <rotate> or <scale> element: expects attributes x,y,z
  * Returns an array [x, y, z] (numbers).
  */
-function parseTriple(elem) {
-    const x = parseFloat(elem.getAttribute('x'));
-    const y = parseFloat(elem.getAttribute('y'));
-    const z = parseFloat(elem.getAttribute('z'));
+function parseTriple(elem, warn = console.warn) {
+    const x = parseNumber(elem, 'x', warn);
+    const y = parseNumber(elem, 'y', warn);
+    const z = parseNumber(elem, 'z', warn);
     return [x, y, z];
 }
 
 /**
  * Parse a <float>‐like attribute on an element: assumes first attribute is the value.
  */
-function parseFloatAttr(elem) {
-    const val = parseFloat(elem.getAttribute(elem.attributes[0].name));
-    return val;
+function parseFloatAttr(elem, warn = console.warn) {
+    if (elem.attributes.length === 0) {
+        warn(`<${elem.tagName}> has no value`);
+        return NaN;
+    }
+    return parseNumber(elem, elem.attributes[0].name, warn);
 }
 
 /**
  * Parse a <color r="..." g="..." b="..." a="..."> element.
  * Return an object {r,g,b,a}. If 'a' is missing, default to 1.0.
  */
-function parseColor(elem) {
-    const attrs = elem.attributes;
-    const r = parseFloat(elem.getAttribute('r'));
-    const g = parseFloat(elem.getAttribute('g'));
-    const b = parseFloat(elem.getAttribute('b'));
+function parseColor(elem, warn = console.warn) {
+    const r = parseNumber(elem, 'r', warn);
+    const g = parseNumber(elem, 'g', warn);
+    const b = parseNumber(elem, 'b', warn);
     let a = 1.0;
     if (elem.hasAttribute('a')) {
-        a = parseFloat(elem.getAttribute('a'));
+        a = parseNumber(elem, 'a', warn);
     }
     return { r, g, b, a };
 }
@@ -40,7 +57,7 @@ function parseColor(elem) {
  * Parse a <matrix> element containing 4 row elements, each with 4 floats.
  * Returns a Float32Array of length 16 in row-major order.
  */
-function parseMatrix(elem) {
+function parseMatrix(elem, warn = console.warn) {
     const mat = new Float32Array(16);
     // Each child of <matrix> is a <row> or similar; assume exactly 4 children
     const rows = elem.children;
@@ -48,7 +65,7 @@ function parseMatrix(elem) {
         const rElem = rows[row];
         const vals = [];
         for (let i = 0; i < rElem.attributes.length; i++) {
-            vals.push(parseFloat(rElem.attributes[i].value));
+            vals.push(parseNumber(rElem, rElem.attributes[i].name, warn));
         }
         // vals should have length 4
         for (let col = 0; col < 4; col++) {
@@ -60,10 +77,13 @@ function parseMatrix(elem) {
 }
 
 /**
- * Parse a <texture filename="..." repeatU="..." repeatV="..."> element.
+ * Parse a <texture filename="..." repeatU="..." repeatV="..." colorspace="srgb|linear"> element.
+ * colorspace is optional and defaults to linear (texels are used as stored).
+ * <bumpmap> uses the same attributes plus format="height|normal" and strength="...".
+ * warn receives messages about attribute values that fall back to defaults.
  * Returns a SceneFileMap object.
  */
-function parseMap(elem) {
+function parseMap(elem, warn = console.warn) {
     const map = new SceneFileMap();
     map.filename = elem.getAttribute('filename') || elem.getAttribute('file');
 
@@ -71,38 +91,135 @@ function parseMap(elem) {
     const vAttr = elem.getAttribute('repeatV') || elem.getAttribute('v');
 
     if (uAttr) {
-        map.repeatU = parseFloat(uAttr);
+        map.repeatU = parseNumber(elem, elem.hasAttribute('repeatU') ? 'repeatU' : 'u', warn);
     }
     if (vAttr) {
-        map.repeatV = parseFloat(vAttr);
+        map.repeatV = parseNumber(elem, elem.hasAttribute('repeatV') ? 'repeatV' : 'v', warn);
+    }
+
+    const colorSpace = (elem.getAttribute('colorspace') || elem.getAttribute('colorSpace') || 'linear').toLowerCase();
+    if (colorSpace === 'srgb' || colorSpace === 'linear') {
+        map.colorSpace = colorSpace;
+    } else {
+        warn(`Unknown texture colorspace "${colorSpace}" on ${map.filename}, using linear`);
+    }
+
+    const format = elem.getAttribute('format');
+    if (format === 'height' || format === 'normal') {
+        map.format = format;
+    } else if (format) {
+        warn(`Unknown bump map format "${format}" on ${map.filename}, using height`);
+    }
+    const strengthAttr = elem.getAttribute('strength');
+    if (strengthAttr) {
+        map.strength = parseNumber(elem, 'strength', warn);
     }
     map.isUsed = true;
     return map;
 }
 
+/**
+ * Find the source line/column of every element's start tag.
+ * DOMParser keeps no positions, so scan the text for start tags (skipping comments,
+ * CDATA, processing instructions and doctypes), which come in document order.
+ * Returns a Map element → {line, column}, both 1-based.
+ */
+function locateElements(xmlString, xmlDoc) {
+    const offsets = [];
+    const tagRe = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<([A-Za-z_][\w.:-]*)/g;
+    let m;
+    while ((m = tagRe.exec(xmlString)) !== null) {
+        if (m[1]) offsets.push(m.index);
+    }
+
+    const lineStarts = [0];
+    for (let i = 0; i < xmlString.length; i++) {
+        if (xmlString[i] === '\n') lineStarts.push(i + 1);
+    }
+    const toLineColumn = (offset) => {
+        let lo = 0, hi = lineStarts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (lineStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+        }
+        return { line: lo + 1, column: offset - lineStarts[lo] + 1 };
+    };
+
+    const locations = new Map();
+    const elements = xmlDoc.getElementsByTagName('*');
+    for (let i = 0; i < elements.length && i < offsets.length; i++) {
+        locations.set(elements[i], toLineColumn(offsets[i]));
+    }
+    return locations;
+}
+
+/**
+ * Path of an element from the document root, e.g. /scenefile/object[2]/transblock[1]
+ * Indices count same-named siblings, starting at 1.
+ */
+function elementPath(elem) {
+    const parts = [];
+    for (let e = elem; e && e.nodeType === 1; e = e.parentNode) {
+        let index = 1;
+        for (let s = e.previousElementSibling; s; s = s.previousElementSibling) {
+            if (s.tagName === e.tagName) index++;
+        }
+        parts.unshift(`${e.tagName}[${index}]`);
+    }
+    return '/' + parts.join('/');
+}
+
 // Main XMLSceneParser class
 
 class XMLSceneParser {
-    constructor() {
+    /**
+     * options.lenient: skip recoverable problems (unknown tags, misplaced light fields)
+     * with a warning instead of failing the whole scene
+     */
+    constructor(options = {}) {
         this.globalData = new SceneGlobalData();
         this.cameraData = new SceneCameraData();
         this.lights = [];               // SceneLightData[]
         this.objects = {};               // name → SceneNode
+        this.objectNames = [];           // object names in definition order
         this.nodes = [];               // all nodes for cleanup if needed
+        this.lenient = !!options.lenient;
+        this.diagnostics = [];         // {severity, message, path, line, column}
+        this._locations = new Map();   // element → {line, column}
+        this._sources = new Map();     // SceneNode / ScenePrimitive → {path, line, column} of its element
     }
 
     /**
      * Parse the given XML string (scene description) and populate fields.
-     * Returns a Promise that resolves to true/false.
+     * Returns a Promise that resolves to true/false; getDiagnostics() tells why.
      */
     async parseFromString(xmlString) {
+        this.diagnostics = [];
+
         // 1. DOMParser to parse XML into a document
         const parser = new DOMParser();
         const xmlDoc = parser.parseFromString(xmlString, "application/xml");
+
+        // malformed XML comes back as a document holding a <parsererror>
+        const parseError = xmlDoc.getElementsByTagName("parsererror")[0];
+        if (parseError) {
+            const text = parseError.textContent.trim();
+            const pos = text.match(/line(?: number)?\s*(\d+)\D+?column\s*(\d+)/i);
+            this.diagnostics.push({
+                severity: "error",
+                message: `Malformed XML: ${text.split('\n')[0]}`,
+                path: "",
+                line: pos ? parseInt(pos[1], 10) : null,
+                column: pos ? parseInt(pos[2], 10) : null
+            });
+            console.error("Malformed XML:", text);
+            return false;
+        }
+
+        this._locations = locateElements(xmlString, xmlDoc);
         const root = xmlDoc.documentElement; // should be <scenefile>
         if (!root || root.tagName !== "scenefile") {
-            console.error("Invalid XML: root is not <scenefile>");
-            return false;
+            return this._error(root, "Invalid XML: root is not <scenefile>");
         }
 
         // 2. Initialize defaults (same as C++ did before looping)
@@ -115,40 +232,82 @@ class XMLSceneParser {
             const elem = children[i];
             switch (elem.tagName) {
                 case "globaldata":
-                    if (!this._parseGlobalData(elem)) {
-                        console.error("Failed to parse <globaldata>");
-                        return false;
-                    }
+                    if (!this._parseGlobalData(elem)) return false;
                     break;
                 case "lightdata":
-                    if (!this._parseLightData(elem)) {
-                        console.error("Failed to parse <lightdata>");
-                        return false;
-                    }
+                    if (!this._parseLightData(elem)) return false;
                     break;
                 case "cameradata":
-                    if (!this._parseCameraData(elem)) {
-                        console.error("Failed to parse <cameradata>");
-                        return false;
-                    }
+                    if (!this._parseCameraData(elem)) return false;
                     break;
                 case "object":
-                    if (!this._parseObjectData(elem)) {
-                        console.error("Failed to parse <object>");
-                        return false;
-                    }
+                    if (!this._parseObjectData(elem)) return false;
                     break;
-                case "reflective":
-                    
                 default:
-                    console.warn(`Unsupported element <${elem.tagName}>`);
-                    return false;
+                    if (!this._recoverable(elem, `Unsupported element <${elem.tagName}>`)) return false;
             }
         }
 
+        if (!this.objects["root"]) {
+            return this._error(root, 'Scene has no <object name="root">');
+        }
         return true;
     }
 
+    /**
+     * Problems found by the last parseFromString, in the order they were found.
+     */
+    getDiagnostics() {
+        return this.diagnostics.slice();
+    }
+
+    /**
+     * Where a SceneNode or ScenePrimitive was defined: {path, line, column}, or null.
+     * Named objects point at their <object>, other nodes at their <transblock>.
+     */
+    getSource(item) {
+        return this._sources.get(item) || null;
+    }
+
+    _setSource(item, elem) {
+        const loc = this._locations.get(elem) || { line: null, column: null };
+        this._sources.set(item, { path: elementPath(elem), line: loc.line, column: loc.column });
+    }
+
+    /**
+     * Record a diagnostic for elem and log it. Returns false for errors, true otherwise,
+     * so callers can write `return this._error(elem, "...")`.
+     */
+    _report(severity, elem, message) {
+        const loc = (elem && this._locations.get(elem)) || { line: null, column: null };
+        this.diagnostics.push({
+            severity,
+            message,
+            path: elem ? elementPath(elem) : "",
+            line: loc.line,
+            column: loc.column
+        });
+        const where = loc.line ? ` (line ${loc.line}, column ${loc.column})` : "";
+        (severity === "error" ? console.error : console.warn)(message + where);
+        return severity !== "error";
+    }
+
+    _error(elem, message) {
+        return this._report("error", elem, message);
+    }
+
+    _warn(elem, message) {
+        return this._report("warning", elem, message);
+    }
+
+    /**
+     * A problem the scene can load without (the element is skipped):
+     * a warning in lenient mode, an error otherwise.
+     */
+    _recoverable(elem, message) {
+        return this._report(this.lenient ? "warning" : "error", elem, message);
+    }
+
     /**
      * Set default camera values in case XML omits some fields.
      */
@@ -180,22 +339,22 @@ class XMLSceneParser {
         const items = elem.children;
         for (let i = 0; i < items.length; i++) {
             const child = items[i];
+            const warn = (msg) => this._warn(child, msg);
             switch (child.tagName) {
                 case "diffusecoeff":
-                    this.globalData.kd = parseFloat(child.attributes[0].value);
+                    this.globalData.kd = parseFloatAttr(child, warn);
                     break;
                 case "ambientcoeff":
-                    this.globalData.ka = parseFloat(child.attributes[0].value);
+                    this.globalData.ka = parseFloatAttr(child, warn);
                     break;
                 case "specularcoeff":
-                    this.globalData.ks = parseFloat(child.attributes[0].value);
+                    this.globalData.ks = parseFloatAttr(child, warn);
                     break;
                 case "transparentcoeff":
-                    this.globalData.kt = parseFloat(child.attributes[0].value);
+                    this.globalData.kt = parseFloatAttr(child, warn);
                     break;
                 default:
-                    console.error(`Invalid globaldata type <${child.tagName}>`);
-                    return false;
+                    if (!this._recoverable(child, `Invalid globaldata type <${child.tagName}>`)) return false;
             }
         }
         return true;
@@ -215,6 +374,7 @@ class XMLSceneParser {
         const items = elem.children;
         for (let i = 0; i < items.length; i++) {
             const child = items[i];
+            const warn = (msg) => this._warn(child, msg);
             switch (child.tagName) {
                 case "id":
                     const val = child.getAttribute("value") || child.getAttribute("v");
@@ -233,68 +393,68 @@ class XMLSceneParser {
                     } else if (typeStr === "area") {
                         light.type = LightType.LIGHT_AREA;
                     } else {
-                        console.error(`Unknown light type ${typeStr}`);
-                        return false;
+                        return this._error(child, `Unknown light type ${typeStr}`);
                     }
                     break;
                 case "color":
-                    Object.assign(light.color, parseColor(child));
+                    Object.assign(light.color, parseColor(child, warn));
                     break;
                 case "function":
-                    light.function = parseTriple(child);
+                    light.function = parseTriple(child, warn);
                     break;
                 case "position":
                     if (light.type === LightType.LIGHT_DIRECTIONAL) {
-                        console.error("Position not applicable to directional lights");
-                        return false;
+                        if (!this._recoverable(child, "Position not applicable to directional lights")) return false;
+                        break;
                     }
-                    light.pos = parseTriple(child);
+                    light.pos = parseTriple(child, warn);
                     break;
                 case "direction":
                     if (light.type === LightType.LIGHT_POINT) {
-                        console.error("Direction not applicable to point lights");
-                        return false;
+                        if (!this._recoverable(child, "Direction not applicable to point lights")) return false;
+                        break;
                     }
-                    light.dir = parseTriple(child);
+                    light.dir = parseTriple(child, warn);
                     break;
                 case "radius":
                     if (light.type !== LightType.LIGHT_SPOT) {
-                        console.error("Radius only for spot lights");
-                        return false;
+                        if (!this._recoverable(child, "Radius only for spot lights")) return false;
+                        break;
                     }
-                    light.radius = parseFloat(child.getAttribute("value"));
+                    light.radius = parseFloatAttr(child, warn);
                     break;
                 case "penumbra":
                     if (light.type !== LightType.LIGHT_SPOT) {
-                        console.error("Penumbra only for spot lights");
-                        return false;
+                        if (!this._recoverable(child, "Penumbra only for spot lights")) return false;
+                        break;
                     }
-                    light.penumbra = parseFloat(child.getAttribute("value"));
+                    // convert degrees to radians, like the angle
+                    light.penumbra = parseFloatAttr(child, warn) * Math.PI / 180.0;
                     break;
                 case "angle":
                     if (light.type !== LightType.LIGHT_SPOT) {
-                        console.error("Angle only for spot lights");
-                        return false;
+                        if (!this._recoverable(child, "Angle only for spot lights")) return false;
+                        break;
                     }
                     // convert degrees to radians
-                    light.angle = parseFloat(child.getAttribute("value")) * Math.PI / 180.0;
+                    light.angle = parseFloatAttr(child, warn) * Math.PI / 180.0;
                     break;
                 case "width":
                     if (light.type !== LightType.LIGHT_AREA) {
-                        console.error("Width only for area lights");
-                        return false;
+                        if (!this._recoverable(child, "Width only for area lights")) return false;
+                        break;
                     }
-                    light.width = parseFloat(child.getAttribute("value"));
+                    light.width = parseNumber(child, "value", warn);
                     break;
                 case "height":
                     if (light.type !== LightType.LIGHT_AREA) {
-                        console.error("Height only for area lights");
-                        return false;
+                        if (!this._recoverable(child, "Height only for area lights")) return false;
+                        break;
                     }
-                    light.height = parseFloat(child.getAttribute("value"));
+                    light.height = parseNumber(child, "value", warn);
                     break;
                 default:
-                    console.warn(`Unknown element in <lightdata>: <${child.tagName}>`);
+                    this._warn(child, `Unknown element in <lightdata>: <${child.tagName}>`);
             }
         }
 
@@ -311,44 +471,43 @@ class XMLSceneParser {
 
         for (let i = 0; i < items.length; i++) {
             const child = items[i];
+            const warn = (msg) => this._warn(child, msg);
             switch (child.tagName) {
                 case "pos":
-                    this.cameraData.pos = parseTriple(child);
+                    this.cameraData.pos = parseTriple(child, warn);
                     break;
                 case "look":
-                    this.cameraData.look = parseTriple(child);
+                    this.cameraData.look = parseTriple(child, warn);
                     this.cameraData.isDir = true;
                     lookFound = true;
                     break;
                 case "focus":
-                    this.cameraData.lookAt = parseTriple(child);
+                    this.cameraData.lookAt = parseTriple(child, warn);
                     this.cameraData.isDir = false;
                     focusFound = true;
                     break;
                 case "up":
-                    this.cameraData.up = parseTriple(child);
+                    this.cameraData.up = parseTriple(child, warn);
                     break;
                 case "heightangle":
-                    this.cameraData.heightAngle = parseFloat(child.getAttribute("value"));
+                    this.cameraData.heightAngle = parseNumber(child, "value", warn);
                     break;
                 case "aspectratio":
-                    this.cameraData.aspectRatio = parseFloat(child.getAttribute("value"));
+                    this.cameraData.aspectRatio = parseNumber(child, "value", warn);
                     break;
                 case "aperture":
-                    this.cameraData.aperture = parseFloat(child.getAttribute("value"));
+                    this.cameraData.aperture = parseNumber(child, "value", warn);
                     break;
                 case "focallength":
-                    this.cameraData.focalLength = parseFloat(child.getAttribute("value"));
+                    this.cameraData.focalLength = parseNumber(child, "value", warn);
                     break;
                 default:
-                    console.warn(`Unknown element in <cameradata>: <${child.tagName}>`);
-                    return false;
+                    if (!this._recoverable(child, `Unknown element in <cameradata>: <${child.tagName}>`)) return false;
             }
         }
 
         if (focusFound && lookFound) {
-            console.error("Camera cannot have both <look> and <focus>");
-            return false;
+            return this._error(elem, "Camera cannot have both <look> and <focus>");
         }
 
         return true;
@@ -360,23 +519,22 @@ class XMLSceneParser {
     _parseObjectData(elem) {
         const typeAttr = elem.getAttribute("type");
         if (typeAttr !== "tree") {
-            console.error("Invalid object type (must be 'tree'):", typeAttr);
-            return false;
+            return this._error(elem, `Invalid object type (must be 'tree'): ${typeAttr}`);
         }
         const name = elem.getAttribute("name");
         if (!name) {
-            console.error("<object> missing name attribute");
-            return false;
+            return this._error(elem, "<object> missing name attribute");
         }
         if (this.objects[name]) {
-            console.error(`Duplicate object name: ${name}`);
-            return false;
+            return this._error(elem, `Duplicate object name: ${name}`);
         }
 
         // Create the node and register
         const node = new SceneNode();
         this.nodes.push(node);
         this.objects[name] = node;
+        this.objectNames.push(name);
+        this._setSource(node, elem);
 
         // Iterate over <transblock> children
         for (let i = 0; i < elem.children.length; i++) {
@@ -384,11 +542,13 @@ class XMLSceneParser {
             if (childElem.tagName.toLowerCase() === "transblock") {
                 const childNode = new SceneNode();
                 this.nodes.push(childNode);
+                this._setSource(childNode, childElem);
                 if (!this._parseTransBlock(childElem, childNode)) {
-                    console.error("Failed to parse <transblock> for object", name);
                     return false;
                 }
                 node.children.push(childNode);
+            } else {
+                this._warn(childElem, `<${childElem.tagName}> in <object> ignored, expected <transblock>`);
             }
         }
 
@@ -403,22 +563,23 @@ class XMLSceneParser {
         const items = transblockElem.children;
         for (let i = 0; i < items.length; i++) {
             const child = items[i];
+            const warn = (msg) => this._warn(child, msg);
             switch (child.tagName) {
                 case "translate": {
                     const t = new SceneTransformation();
                     t.type = TransformationType.TRANSFORMATION_TRANSLATE;
-                    t.translate = parseTriple(child);
+                    t.translate = parseTriple(child, warn);
                     node.transformations.push(t);
                     break;
                 }
                 case "rotate": {
                     const t = new SceneTransformation();
                     t.type = TransformationType.TRANSFORMATION_ROTATE;
-                    const vals = parseTriple(child);
+                    const vals = parseTriple(child, warn);
                     t.rotate = vals;
                     const ang = child.getAttribute("angle");
                     if (ang !== null) {
-                        t.angle = parseFloat(ang) * Math.PI / 180.0; // degrees→radians
+                        t.angle = parseNumber(child, "angle", warn) * Math.PI / 180.0; // degrees→radians
                     }
                     node.transformations.push(t);
                     break;
@@ -426,14 +587,14 @@ class XMLSceneParser {
                 case "scale": {
                     const t = new SceneTransformation();
                     t.type = TransformationType.TRANSFORMATION_SCALE;
-                    t.scale = parseTriple(child);
+                    t.scale = parseTriple(child, warn);
                     node.transformations.push(t);
                     break;
                 }
                 case "matrix": {
                     const t = new SceneTransformation();
                     t.type = TransformationType.TRANSFORMATION_MATRIX;
-                    t.matrix = parseMatrix(child);
+                    t.matrix = parseMatrix(child, warn);
                     node.transformations.push(t);
                     break;
                 }
@@ -443,8 +604,7 @@ class XMLSceneParser {
                         const masterName = child.getAttribute("name");
                         const masterNode = this.objects[masterName];
                         if (!masterNode) {
-                            console.error("Invalid master object reference:", masterName);
-                            return false;
+                            return this._error(child, `Invalid master object reference: ${masterName}`);
                         }
                         node.children.push(masterNode);
                     }
@@ -454,10 +614,8 @@ class XMLSceneParser {
                             if (subElem.tagName.toLowerCase() === "transblock") {
                                 const subNode = new SceneNode();
                                 this.nodes.push(subNode);
+                                this._setSource(subNode, subElem);
                                 if (!this._parseTransBlock(subElem, subNode)) {
-                                    console.error(
-                                        "Failed to parse nested <transblock> in <object type='tree'>"
-                                    );
                                     return false;
                                 }
                                 node.children.push(subNode);
@@ -466,19 +624,16 @@ class XMLSceneParser {
                     }
                     else if (objType === "primitive") {
                         if (!this._parsePrimitive(child, node)) {
-                            console.error("Failed to parse <primitive>");
                             return false;
                         }
                     }
                     else {
-                        console.error("Unknown <object> type:", objType);
-                        return false;
+                        return this._error(child, `Unknown <object> type: ${objType}`);
                     }
                     break;
                 }
                 default:
-                    console.error("Invalid transblock element type:", child.tagName);
-                    return false;
+                    if (!this._recoverable(child, `Invalid transblock element type: ${child.tagName}`)) return false;
             }
         }
         return true;
@@ -492,7 +647,10 @@ class XMLSceneParser {
         const primitive = new ScenePrimitive();
 
         // Determine primitive type from first attribute or child tag
-        const firstAttrVal = primElem.attributes.name.value;
+        if (!primElem.hasAttribute("name")) {
+            return this._error(primElem, "Primitive is missing its name (sphere, cube, cylinder, cone or mesh)");
+        }
+        const firstAttrVal = primElem.getAttribute("name");
         switch (firstAttrVal) {
             case "sphere":
                 primitive.type = PrimitiveType.SHAPE_SPHERE;
@@ -508,17 +666,18 @@ class XMLSceneParser {
                 break;
             case "mesh":
                 primitive.type = PrimitiveType.SHAPE_MESH;
-                // Next attribute is mesh filename
-                const meshAttr = primElem.attributes[1];
+                // mesh filename: a meshfile/file attribute, or else the attribute after name
+                const attrs = Array.from(primElem.attributes);
+                const nameIndex = attrs.findIndex(a => a.name === "name");
+                const meshAttr = primElem.getAttributeNode("meshfile") || primElem.getAttributeNode("file")
+                    || attrs.slice(nameIndex + 1).find(a => a.name !== "type");
                 if (!meshAttr) {
-                    console.error("Mesh primitive must specify mesh file");
-                    return false;
+                    return this._error(primElem, "Mesh primitive must specify mesh file");
                 }
                 primitive.meshfile = meshAttr.value;
                 break;
             default:
-                console.error("Unknown primitive type:", firstAttrVal);
-                return false;
+                return this._error(primElem, `Unknown primitive type: ${firstAttrVal}`);
         }
 
         // Initialize default material
@@ -528,50 +687,58 @@ class XMLSceneParser {
         mat.cDiffuse = { r: 1, g: 1, b: 1, a: 1 };
 
         // Parse material sub-elements
+        let hasBlend = false;
         const items = primElem.children;
         for (let i = 0; i < items.length; i++) {
             const child = items[i];
+            const warn = (msg) => this._warn(child, msg);
             switch (child.tagName) {
                 case "diffuse":
-                    mat.cDiffuse = parseColor(child);
+                    mat.cDiffuse = parseColor(child, warn);
                     break;
                 case "ambient":
-                    mat.cAmbient = parseColor(child);
+                    mat.cAmbient = parseColor(child, warn);
                     break;
                 case "reflective":
-                    mat.cReflective = parseColor(child);
+                    mat.cReflective = parseColor(child, warn);
                     break;
                 case "specular":
-                    mat.cSpecular = parseColor(child);
+                    mat.cSpecular = parseColor(child, warn);
                     break;
                 case "emissive":
-                    mat.cEmissive = parseColor(child);
+                    mat.cEmissive = parseColor(child, warn);
                     break;
                 case "transparent":
-                    mat.cTransparent = parseColor(child);
+                    mat.cTransparent = parseColor(child, warn);
                     break;
                 case "shininess":
-                    mat.shininess = parseFloat(child.getAttribute("value"));
+                    mat.shininess = parseNumber(child, "value", warn);
                     break;
                 case "ior":
-                    mat.ior = parseFloat(child.getAttribute("value"));
+                    mat.ior = parseNumber(child, "value", warn);
                     break;
                 case "texture":
-                    mat.textureMap = parseMap(child);
+                    mat.textureMap = parseMap(child, warn);
                     break;
                 case "bumpmap":
-                    mat.bumpMap = parseMap(child);
+                    mat.bumpMap = parseMap(child, warn);
                     break;
                 case "blend":
-                    mat.blend = parseFloat(child.getAttribute("value"));
+                    mat.blend = parseNumber(child, "value", warn);
+                    hasBlend = true;
                     break;
                 default:
-                    console.warn(`Unknown primitive data <${child.tagName}>`);
-                    return false;
+                    if (!this._recoverable(child, `Unknown primitive data <${child.tagName}>`)) return false;
             }
         }
 
+        // a texture without <blend> replaces the diffuse color, like before blend was supported
+        if (mat.textureMap.isUsed && !hasBlend) {
+            mat.blend = 1.0;
+        }
+
         node.primitives.push(primitive);
+        this._setSource(primitive, primElem);
         return true;
     }
 
@@ -582,6 +749,20 @@ class XMLSceneParser {
         return this.objects["root"] || null;
     }
 
+    /**
+     * Retrieve all named objects (name → SceneNode). Iterate getObjectNames() for their order.
+     */
+    getObjects() {
+        return Object.assign({}, this.objects);
+    }
+
+    /**
+     * Names of the named objects in the order they were defined, masters before their users.
+     */
+    getObjectNames() {
+        return this.objectNames.slice();
+    }
+
     /**
      * Retrieve the list of lights.
      */
@@ -602,6 +783,21 @@ class XMLSceneParser {
     getGlobalData() {
         return Object.assign({}, this.globalData);
     }
+
+    /**
+     * Meshes the parser already loaded, by meshfile. XML scenes reference OBJ files
+     * that are fetched later, so there are none.
+     */
+    getMeshes() {
+        return {};
+    }
+
+    /**
+     * Images the parser already loaded, by texture filename. None for XML scenes.
+     */
+    getImages() {
+        return {};
+    }
 }
 
 export { XMLSceneParser }; 
\ No newline at end of file
@@ -0,0 +1,268 @@
+import { TransformationType, PrimitiveType, PRIMITIVE_NAMES, LightType } from './SceneDataStructures.js';
+// Writes parsed scene data back into the <scenefile> dialect that XMLSceneParser reads
+
+const LIGHT_NAMES = {
+    [LightType.LIGHT_POINT]: "point",
+    [LightType.LIGHT_DIRECTIONAL]: "directional",
+    [LightType.LIGHT_SPOT]: "spot",
+    [LightType.LIGHT_AREA]: "area"
+};
+
+const RAD_TO_DEG = 180.0 / Math.PI;
+
+/**
+ * Format a number for an attribute: 6 decimals at most, so float32 noise
+ * (0.30000001192...) doesn't leak into the file.
+ */
+function formatNumber(v) {
+    const rounded = Math.round(v * 1e6) / 1e6;
+    return String(rounded === 0 ? 0 : rounded); // no "-0"
+}
+
+function escapeAttr(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/"/g, "&quot;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+}
+
+/**
+ * Build an empty element string: tag(name, [["x", 1], ["y", 2]]) → <name x="1" y="2"/>
+ * Numbers are formatted, everything else is escaped as text.
+ */
+function tag(name, attrs) {
+    const parts = attrs.map(([key, value]) =>
+        `${key}="${typeof value === "number" ? formatNumber(value) : escapeAttr(value)}"`);
+    return `<${name}${parts.length ? " " + parts.join(" ") : ""}/>`;
+}
+
+function tripleAttrs(v) {
+    return [["x", v[0]], ["y", v[1]], ["z", v[2]]];
+}
+
+function colorAttrs(c) {
+    return [["r", c.r], ["g", c.g], ["b", c.b], ["a", c.a]];
+}
+
+/**
+ * Serializes global data, camera, lights and the node tree of a parsed scene.
+ * Usage: new XMLSceneWriter(parser).writeToString({ camera })
+ */
+class XMLSceneWriter {
+    constructor(parser) {
+        this.globalData = parser.getGlobalData();
+        this.cameraData = parser.getCameraData();
+        this.lights = parser.getLights();
+        this.objects = parser.getObjects(); // name → SceneNode
+        this.objectNames = parser.getObjectNames(); // definition order
+        this.lines = [];
+        this.depth = 0;
+    }
+
+    /**
+     * Produce the scene file text.
+     * options.camera: a Camera whose current pose replaces the authored <cameradata>.
+     */
+    writeToString(options = {}) {
+        this.lines = [];
+        this.depth = 0;
+
+        this._open("scenefile");
+        this._writeGlobalData();
+        this._writeCameraData(options.camera || null);
+        for (const light of this.lights) {
+            this._writeLightData(light);
+        }
+        this._writeObjects();
+        this._close("scenefile");
+
+        return this.lines.join("\n") + "\n";
+    }
+
+    _line(text) {
+        this.lines.push("    ".repeat(this.depth) + text);
+    }
+
+    _open(name, attrs = []) {
+        this._line(tag(name, attrs).replace(/\/>$/, ">"));
+        this.depth++;
+    }
+
+    _close(name) {
+        this.depth--;
+        this._line(`</${name}>`);
+    }
+
+    // skips values that never parsed (NaN), so they fall back to the parser defaults again
+    _value(name, v, attr = "value") {
+        if (Number.isFinite(v)) {
+            this._line(tag(name, [[attr, v]]));
+        }
+    }
+
+    _writeGlobalData() {
+        const g = this.globalData;
+        this._open("globaldata");
+        this._value("ambientcoeff", g.ka, "v");
+        this._value("diffusecoeff", g.kd, "v");
+        this._value("specularcoeff", g.ks, "v");
+        this._value("transparentcoeff", g.kt, "v");
+        this._close("globaldata");
+    }
+
+    _writeCameraData(camera) {
+        const cam = this.cameraData;
+        this._open("cameradata");
+        if (camera) {
+            // interactive pose, always written as a look vector
+            this._line(tag("pos", tripleAttrs(camera.getEyePoint())));
+            this._line(tag("look", tripleAttrs(camera.getLookVector())));
+            this._line(tag("up", tripleAttrs(camera.getUpVector())));
+            this._value("heightangle", camera.getViewAngle());
+            this._value("aspectratio", cam.aspectRatio);
+            this._value("aperture", camera.getAperture());
+            this._value("focallength", camera.getFocalLength());
+        } else {
+            this._line(tag("pos", tripleAttrs(cam.pos)));
+            if (cam.isDir) {
+                this._line(tag("look", tripleAttrs(cam.look)));
+            } else {
+                this._line(tag("focus", tripleAttrs(cam.lookAt)));
+            }
+            this._line(tag("up", tripleAttrs(cam.up)));
+            this._value("heightangle", cam.heightAngle);
+            this._value("aspectratio", cam.aspectRatio);
+            this._value("aperture", cam.aperture);
+            this._value("focallength", cam.focalLength);
+        }
+        this._close("cameradata");
+    }
+
+    _writeLightData(light) {
+        this._open("lightdata");
+        this._value("id", light.id);
+        // type first, the parser checks position/direction etc. against it
+        this._line(tag("type", [["value", LIGHT_NAMES[light.type]]]));
+        this._line(tag("color", colorAttrs(light.color)));
+        this._line(tag("function", tripleAttrs(light.function)));
+        if (light.type !== LightType.LIGHT_DIRECTIONAL) {
+            this._line(tag("position", tripleAttrs(light.pos)));
+        }
+        if (light.type !== LightType.LIGHT_POINT) {
+            this._line(tag("direction", tripleAttrs(light.dir)));
+        }
+        if (light.type === LightType.LIGHT_SPOT) {
+            this._value("radius", light.radius);
+            this._value("penumbra", light.penumbra * RAD_TO_DEG);
+            this._value("angle", light.angle * RAD_TO_DEG);
+        }
+        if (light.type === LightType.LIGHT_AREA) {
+            this._value("width", light.width);
+            this._value("height", light.height);
+        }
+        this._close("lightdata");
+    }
+
+    /**
+     * Every named object becomes a top level <object type="tree">, in the order the
+     * parser saw them, so masters are still defined before anything references them.
+     */
+    _writeObjects() {
+        const names = new Map(); // SceneNode → name, to spot master references
+        for (const name of this.objectNames) {
+            names.set(this.objects[name], name);
+        }
+        for (const name of this.objectNames) {
+            const node = this.objects[name];
+            this._open("object", [["type", "tree"], ["name", name]]);
+            for (const block of node.children) {
+                this._writeTransBlock(block, names);
+            }
+            this._close("object");
+        }
+    }
+
+    _writeTransBlock(node, names) {
+        this._open("transblock");
+        for (const t of node.transformations) {
+            this._writeTransformation(t);
+        }
+        for (const primitive of node.primitives) {
+            this._writePrimitive(primitive);
+        }
+        for (const child of node.children) {
+            if (names.has(child)) {
+                this._line(tag("object", [["type", "master"], ["name", names.get(child)]]));
+            } else {
+                // an inline <object type="tree"> inside this block
+                this._open("object", [["type", "tree"]]);
+                this._writeTransBlock(child, names);
+                this._close("object");
+            }
+        }
+        this._close("transblock");
+    }
+
+    _writeTransformation(t) {
+        switch (t.type) {
+            case TransformationType.TRANSFORMATION_TRANSLATE:
+                this._line(tag("translate", tripleAttrs(t.translate)));
+                break;
+            case TransformationType.TRANSFORMATION_SCALE:
+                this._line(tag("scale", tripleAttrs(t.scale)));
+                break;
+            case TransformationType.TRANSFORMATION_ROTATE:
+                this._line(tag("rotate", [...tripleAttrs(t.rotate), ["angle", t.angle * RAD_TO_DEG]]));
+                break;
+            case TransformationType.TRANSFORMATION_MATRIX:
+                // row-major, one <row> per matrix row
+                this._open("matrix");
+                for (let row = 0; row < 4; row++) {
+                    const m = t.matrix;
+                    this._line(tag("row", [
+                        ["a", m[row * 4]], ["b", m[row * 4 + 1]], ["c", m[row * 4 + 2]], ["d", m[row * 4 + 3]]
+                    ]));
+                }
+                this._close("matrix");
+                break;
+        }
+    }
+
+    _writePrimitive(primitive) {
+        const attrs = [["type", "primitive"], ["name", PRIMITIVE_NAMES[primitive.type]]];
+        if (primitive.type === PrimitiveType.SHAPE_MESH) {
+            attrs.push(["meshfile", primitive.meshfile]); // parser takes the attribute after name
+        }
+        this._open("object", attrs);
+
+        const mat = primitive.material;
+        this._line(tag("diffuse", colorAttrs(mat.cDiffuse)));
+        this._line(tag("ambient", colorAttrs(mat.cAmbient)));
+        this._line(tag("reflective", colorAttrs(mat.cReflective)));
+        this._line(tag("specular", colorAttrs(mat.cSpecular)));
+        this._line(tag("emissive", colorAttrs(mat.cEmissive)));
+        this._line(tag("transparent", colorAttrs(mat.cTransparent)));
+        this._value("shininess", mat.shininess);
+        this._value("ior", mat.ior);
+        if (mat.textureMap.isUsed) {
+            const map = mat.textureMap;
+            this._line(tag("texture", [
+                ["filename", map.filename], ["repeatU", map.repeatU], ["repeatV", map.repeatV],
+                ["colorspace", map.colorSpace]
+            ]));
+        }
+        if (mat.bumpMap.isUsed) {
+            const map = mat.bumpMap;
+            this._line(tag("bumpmap", [
+                ["filename", map.filename], ["repeatU", map.repeatU], ["repeatV", map.repeatV],
+                ["colorspace", map.colorSpace], ["format", map.format], ["strength", map.strength]
+            ]));
+        }
+        this._value("blend", mat.blend);
+
+        this._close("object");
+    }
+}
+
+export { XMLSceneWriter };
@@ -0,0 +1,96 @@
+import { CameraPath } from './cameraPath.js';
+
+const STORAGE_PREFIX = 'raytracer-bookmarks:'; // + scene file name
+const GO_TO_SECONDS = 1.0;                     // transition time when jumping to a bookmark
+
+// named camera poses per scene, kept in localStorage, and playback of paths through them
+export class CameraBookmarks {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.sceneName = null;
+        this.bookmarks = []; // [{ name, pose }] in path order
+        this.animationFrame = 0;
+    }
+
+    // switch to the bookmarks saved for sceneName
+    setScene(sceneName) {
+        this.stop();
+        this.sceneName = sceneName;
+        this.bookmarks = [];
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_PREFIX + sceneName) || '[]');
+            if (Array.isArray(stored)) this.bookmarks = stored.filter(b => b && b.name && b.pose);
+        } catch (e) {
+            console.warn(`Ignoring unreadable bookmarks for ${sceneName}:`, e);
+        }
+    }
+
+    _store() {
+        if (!this.sceneName) return;
+        localStorage.setItem(STORAGE_PREFIX + this.sceneName, JSON.stringify(this.bookmarks));
+    }
+
+    list() {
+        return this.bookmarks.map(b => b.name);
+    }
+
+    // save the current view under name, replacing a bookmark of the same name in place
+    add(name) {
+        if (!this.sceneName) throw new Error('load a scene before saving bookmarks');
+        const pose = this.renderer.camera.getPose();
+        const existing = this.bookmarks.find(b => b.name === name);
+        if (existing) {
+            existing.pose = pose;
+        } else {
+            this.bookmarks.push({ name, pose });
+        }
+        this._store();
+    }
+
+    remove(name) {
+        this.bookmarks = this.bookmarks.filter(b => b.name !== name);
+        this._store();
+    }
+
+    // fly from the current view to the bookmark
+    goTo(name) {
+        if (this.renderer.exporting) return; // the export reads the camera on every tile
+        const bookmark = this.bookmarks.find(b => b.name === name);
+        if (!bookmark) return;
+        this.play(new CameraPath([this.renderer.camera.getPose(), bookmark.pose], GO_TO_SECONDS));
+    }
+
+    // keyframed path through all bookmarks, in order
+    path(secondsPerSegment) {
+        if (this.bookmarks.length < 2) throw new Error('a path needs at least two bookmarks');
+        return new CameraPath(this.bookmarks.map(b => b.pose), secondsPerSegment);
+    }
+
+    // move the live camera along path in real time
+    play(path) {
+        if (this.renderer.exporting) return;
+        this.stop();
+        const controls = this.renderer.controls;
+        const orbitDistance = controls.orbitDistance();
+        const start = performance.now();
+        const step = (now) => {
+            const seconds = (now - start) / 1000;
+            this.renderer.camera.setPose(path.poseAt(seconds));
+            controls.placeOrbitTarget(orbitDistance); // keep orbiting the point ahead of the camera
+            controls.cameraMoved();
+            this.animationFrame = seconds < path.duration ? requestAnimationFrame(step) : 0;
+        };
+        this.animationFrame = requestAnimationFrame(step);
+    }
+
+    stop() {
+        if (this.animationFrame) cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = 0;
+    }
+
+    // render the path at fps through the exporter, one png per frame
+    renderFrames(path, fps, width, height, samples) {
+        this.stop();
+        return this.renderer.exporter.runSequence(path.frames(fps), width, height, samples);
+    }
+}
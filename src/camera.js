@@ -2,6 +2,7 @@ const DEFAULT_FOCUS_LENGTH = 1.0;
 const NEAR_PLANE = 0.01;
 const FAR_PLANE = 20.0;
 const VIEW_ANGLE = 60.0;
+const APERTURE = 0.0;       // lens diameter, 0 is a pinhole camera
 
 export class Camera {
     constructor() {
@@ -14,6 +15,8 @@ export class Camera {
         this.screenHeight = 1;
         this.screenWidthRatio = 1.0;
         this.rotU = this.rotV = this.rotW = 0;
+        this.aperture = APERTURE;
+        this.focalLength = DEFAULT_FOCUS_LENGTH; // distance to the plane in focus
 
         // Internal state
         this.nVec3 = vec3.create();
@@ -43,6 +46,8 @@ export class Camera {
         this.setFarPlane(FAR_PLANE);
         this.screenWidthRatio = 1.0;
         this.rotU = this.rotV = this.rotW = 0;
+        this.setAperture(APERTURE);
+        this.setFocalLength(DEFAULT_FOCUS_LENGTH);
     }
 
     setViewAngle(v) {
@@ -51,6 +56,8 @@ export class Camera {
     }
     setNearPlane(n) { this.nearPlane = n; }
     setFarPlane(f) { this.farPlane = f; }
+    setAperture(a) { this.aperture = Math.max(0, a); }
+    setFocalLength(f) { this.focalLength = Math.max(Number.EPSILON, f); }
     setScreenSize(w, h) {
         this.screenWidth = w;
         this.screenHeight = h;
@@ -202,11 +209,34 @@ export class Camera {
         );
     }
 
+    // ——— Poses ——————————————————————————————————————————
+
+    // everything needed to come back to this view, as plain arrays (JSON friendly)
+    getPose() {
+        return {
+            eye: Array.from(this.getEyePoint()),
+            look: Array.from(this.getLookVector()),
+            up: Array.from(this.getUpVector()),
+            viewAngle: this.viewAngle,
+            aperture: this.aperture,
+            focalLength: this.focalLength
+        };
+    }
+
+    setPose(pose) {
+        this.orientLookVec(pose.eye, pose.look, pose.up);
+        this.setViewAngle(pose.viewAngle);
+        this.setAperture(pose.aperture);
+        this.setFocalLength(pose.focalLength);
+    }
+
     // ——— Read Parameters ——————————————————————————————————————————
 
     getViewAngle() { return this.viewAngle; }
     getNearPlane() { return this.nearPlane; }
     getFarPlane() { return this.farPlane; }
+    getAperture() { return this.aperture; }
+    getFocalLength() { return this.focalLength; }
     getScreenWidth() { return this.screenWidth; }
     getScreenHeight() { return this.screenHeight; }
     getFilmPlanDepth() { return this.filmPlanDepth; }
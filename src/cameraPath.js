@@ -0,0 +1,89 @@
+// cameraPath.js: smooth camera motion through a list of poses (see Camera.getPose)
+// positions follow a Catmull-Rom spline through every pose, orientations are slerped
+// mat3 / quat / vec3 are the gl-matrix globals, like in camera.js
+
+// rotation taking the camera's local axes to its pose (x right, y up, -z look)
+function poseToQuat(pose) {
+    const back = vec3.negate(vec3.create(), vec3.normalize(vec3.create(), pose.look));
+    const right = vec3.normalize(vec3.create(), vec3.cross(vec3.create(), pose.up, back));
+    const up = vec3.cross(vec3.create(), back, right);
+    const m = mat3.fromValues(
+        right[0], right[1], right[2],
+        up[0], up[1], up[2],
+        back[0], back[1], back[2]
+    );
+    return quat.normalize(quat.create(), quat.fromMat3(quat.create(), m));
+}
+
+// uniform Catmull-Rom between p1 and p2, t in [0, 1]
+function catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t, t3 = t2 * t;
+    const out = [0, 0, 0];
+    for (let i = 0; i < 3; i++) {
+        out[i] = 0.5 * (2 * p1[i] + (p2[i] - p0[i]) * t
+            + (2 * p0[i] - 5 * p1[i] + 4 * p2[i] - p3[i]) * t2
+            + (3 * p1[i] - p0[i] - 3 * p2[i] + p3[i]) * t3);
+    }
+    return out;
+}
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+export class CameraPath {
+    // poses: at least one pose, secondsPerSegment: travel time between neighbouring poses
+    constructor(poses, secondsPerSegment = 2.0) {
+        if (poses.length === 0) throw new Error('a camera path needs at least one pose');
+        if (!(secondsPerSegment > 0) || !Number.isFinite(secondsPerSegment)) {
+            throw new Error(`seconds per view must be a positive number, got ${secondsPerSegment}`);
+        }
+        this.poses = poses;
+        this.secondsPerSegment = secondsPerSegment;
+        this.rotations = poses.map(poseToQuat);
+        // neighbouring quaternions on the same hemisphere, so slerp takes the short way round
+        for (let i = 1; i < this.rotations.length; i++) {
+            if (quat.dot(this.rotations[i - 1], this.rotations[i]) < 0) {
+                quat.scale(this.rotations[i], this.rotations[i], -1);
+            }
+        }
+    }
+
+    get duration() {
+        return (this.poses.length - 1) * this.secondsPerSegment;
+    }
+
+    // pose at time seconds along the path, clamped to its ends
+    poseAt(seconds) {
+        const last = this.poses.length - 1;
+        const s = Math.min(Math.max(seconds / this.secondsPerSegment, 0), last);
+        const i = Math.min(Math.floor(s), Math.max(last - 1, 0));
+        const t = last === 0 ? 0 : s - i;
+        // the end points repeat themselves as the outer control points
+        const at = (k) => this.poses[Math.min(Math.max(k, 0), last)];
+        const a = at(i), b = at(i + 1);
+
+        const rotation = quat.slerp(quat.create(), this.rotations[i], this.rotations[Math.min(i + 1, last)], t);
+        const look = vec3.transformQuat(vec3.create(), [0, 0, -1], rotation);
+        const up = vec3.transformQuat(vec3.create(), [0, 1, 0], rotation);
+        return {
+            eye: catmullRom(at(i - 1).eye, a.eye, b.eye, at(i + 2).eye, t),
+            look: Array.from(look),
+            up: Array.from(up),
+            viewAngle: lerp(a.viewAngle, b.viewAngle, t),
+            aperture: lerp(a.aperture, b.aperture, t),
+            focalLength: lerp(a.focalLength, b.focalLength, t)
+        };
+    }
+
+    // poses sampled at fps, first and last pose included
+    frames(fps) {
+        if (!(fps > 0) || !Number.isFinite(fps)) {
+            throw new Error(`frames per second must be a positive number, got ${fps}`);
+        }
+        const count = Math.max(Math.round(this.duration * fps), 0) + 1;
+        const poses = [];
+        for (let f = 0; f < count; f++) {
+            poses.push(this.poseAt(count === 1 ? 0 : f / (count - 1) * this.duration));
+        }
+        return poses;
+    }
+}
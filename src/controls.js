@@ -1,14 +1,43 @@
 // processes the user/client's actions, computes deltaXY which are then used by camera 
+
+import { ScenePrimitive, TransformationType, PRIMITIVE_NAMES } from './SceneDataStructures.js';
+
+const ORBIT_DEG_PER_PIXEL = 0.3;  // drag sensitivity
+const DOLLY_PER_WHEEL = 0.001;   // wheel deltaY → log distance
+const MIN_ORBIT_DISTANCE = 0.01;
+const MIN_PITCH_DEG = 1.0;       // stay this far from straight up/down while orbiting
+const FLY_KEYS = ["w", "a", "s", "d", "q", "e"];
+const CLICK_SLOP = 3;            // pixels a press may move and still count as a click
+const MATERIAL_COLORS = [         // label, SceneMaterial field
+    ["Diffuse", "cDiffuse"],
+    ["Ambient", "cAmbient"],
+    ["Specular", "cSpecular"],
+    ["Reflective", "cReflective"],
+    ["Transparent", "cTransparent"],
+    ["Emissive", "cEmissive"]
+];
+
 export class Controls {
     constructor(renderer) {
         this.renderer = renderer;
         this.canvas = renderer.canvas;
         this.camera = renderer.camera;
-        this.isectOnly = false;     // intersection only mode
+        this.isectOnly = false;     // intersection only mode, the shader shows debugView instead of shading
+        this.debugView = 0;         // DEBUG_* view of test.frag
         this.isDragging = false;    // isDragging is when user is holding down mouse + moving it
         this.prevMouseX = 0;        // where the mouse was last seen 
         this.prevMouseY = 0;        // where the mouse was last seen 
+        this.dragMode = null;       // "orbit" or "pan" while dragging
+        this.pointers = new Map();  // pointerId → {x, y}, two touches pinch and pan
+        this.clickStart = null;     // {x, y} of a left press that may still become a click
+        this.sceneTreeItems = [];   // SceneNode / ScenePrimitive per option of the scene tree
+        this.orbitTarget = vec3.fromValues(0, 0, 0); // point we orbit around and dolly towards
+        this.keysDown = new Set();  // fly keys held down
+        this.fast = false;          // shift held while flying
+        this.flyFrame = 0;          // requestAnimationFrame id while flying
+        this.lastFlyTime = 0;
         this.setupEventListeners(); // listen to client event 
+        this.setupNavigation();     // mouse, touch and keyboard camera moves on the canvas
     }
 
     setupEventListeners() {
@@ -20,7 +49,95 @@ export class Controls {
         // Reload Shaders button
         const reloadButton = document.getElementById("reloadButton");
         reloadButton.addEventListener("click", async (event) => {
-            this.renderer.reloadShaders("test");
+            this.renderer.reloadShaders();
+        });
+        // any slider or checkbox change restarts the progressive average
+        document.addEventListener("input", () => this.renderer.resetAccumulation());
+        document.addEventListener("change", () => this.renderer.resetAccumulation());
+        // Progressive rendering
+        const progressiveCheckbox = document.getElementById("progressive");
+        progressiveCheckbox.addEventListener("change", (event) => {
+            this.renderer.progressive = event.target.checked;
+        });
+        const maxSamplesSlider = document.getElementById("maxSamples");
+        maxSamplesSlider.addEventListener("input", (event) => {
+            this.renderer.maxSamples = parseInt(event.target.value);
+            document.getElementById("maxSamplesVal").innerText = event.target.value;
+        });
+        // Scene parsing, applies to the next scene file loaded
+        const lenientCheckbox = document.getElementById("lenientParsing");
+        lenientCheckbox.addEventListener("change", (event) => {
+            this.renderer.lenientParsing = event.target.checked;
+        });
+        // Export render
+        const exportButton = document.getElementById("exportButton");
+        exportButton.addEventListener("click", () => {
+            this.renderer.exporter.run(
+                parseInt(document.getElementById("exportWidth").value),
+                parseInt(document.getElementById("exportHeight").value),
+                parseInt(document.getElementById("exportSamples").value)
+            );
+        });
+        // Save scene, optionally with the camera as it is now
+        const saveSceneButton = document.getElementById("saveSceneButton");
+        saveSceneButton.addEventListener("click", () => {
+            this.renderer.saveScene(document.getElementById("saveCurrentCamera").checked);
+        });
+        // Camera bookmarks and paths through them (frames use the export size and samples)
+        const bookmarkList = document.getElementById("bookmarkList");
+        document.getElementById("addBookmark").addEventListener("click", () => {
+            const nameInput = document.getElementById("bookmarkName");
+            const name = nameInput.value.trim() || `View ${this.renderer.bookmarks.list().length + 1}`;
+            this.runBookmarkAction(() => this.renderer.bookmarks.add(name));
+            nameInput.value = "";
+        });
+        document.getElementById("goToBookmark").addEventListener("click", () => {
+            this.renderer.bookmarks.goTo(bookmarkList.value);
+        });
+        bookmarkList.addEventListener("dblclick", () => this.renderer.bookmarks.goTo(bookmarkList.value));
+        document.getElementById("deleteBookmark").addEventListener("click", () => {
+            this.runBookmarkAction(() => this.renderer.bookmarks.remove(bookmarkList.value));
+        });
+        const pathSeconds = () => parseFloat(document.getElementById("pathSeconds").value);
+        document.getElementById("playPath").addEventListener("click", () => {
+            this.runBookmarkAction(() => this.renderer.bookmarks.play(this.renderer.bookmarks.path(pathSeconds())));
+        });
+        document.getElementById("stopPath").addEventListener("click", () => {
+            this.renderer.bookmarks.stop();
+            this.renderer.exporter.cancel();
+        });
+        document.getElementById("renderPath").addEventListener("click", () => {
+            this.runBookmarkAction(() => this.renderer.bookmarks.renderFrames(
+                this.renderer.bookmarks.path(pathSeconds()),
+                parseFloat(document.getElementById("pathFps").value),
+                parseInt(document.getElementById("exportWidth").value),
+                parseInt(document.getElementById("exportHeight").value),
+                parseInt(document.getElementById("exportSamples").value)
+            ));
+        });
+        // Scene editor: the tree picks what the fields below it edit
+        document.getElementById("sceneTree").addEventListener("change", () => this.showSceneEditFields());
+        const undo = () => this.runSceneEdit(() => this.renderer.sceneEditor.undo());
+        const redo = () => this.runSceneEdit(() => this.renderer.sceneEditor.redo());
+        document.getElementById("undoEdit").addEventListener("click", undo);
+        document.getElementById("redoEdit").addEventListener("click", redo);
+        document.addEventListener("keydown", (event) => {
+            // text fields keep their own undo
+            if (!(event.ctrlKey || event.metaKey) || event.target.tagName === "INPUT") return;
+            const key = event.key.toLowerCase();
+            if (key === "z" && !event.shiftKey) {
+                event.preventDefault();
+                undo();
+            } else if (key === "y" || (key === "z" && event.shiftKey)) {
+                event.preventDefault();
+                redo();
+            }
+        });
+        // Debug view, anything but "Shaded" only intersects the primary rays
+        const debugViewSelect = document.getElementById("debugView");
+        debugViewSelect.addEventListener("change", (event) => {
+            this.debugView = parseInt(event.target.value);
+            this.isectOnly = this.debugView !== 0;
         });
         // Recursion step
         const recursionSlider = document.getElementById("maxDepth");
@@ -28,6 +145,17 @@ export class Controls {
             this.renderer.maxDepth = parseInt(event.target.value);
             document.getElementById("maxDepthVal").innerText = event.target.value;
         });
+        // Area light samples
+        const areaSamplesSlider = document.getElementById("areaLightSamples");
+        areaSamplesSlider.addEventListener("input", (event) => {
+            this.renderer.areaLightSamples = parseInt(event.target.value);
+            document.getElementById("areaLightSamplesVal").innerText = event.target.value;
+        });
+        // BVH toggle, unchecked falls back to testing every object
+        const bvhCheckbox = document.getElementById("useBVH");
+        bvhCheckbox.addEventListener("change", (event) => {
+            this.renderer.useBVH = event.target.checked;
+        });
         // Camera rotation
         const rotateUSlider = document.getElementById("rotateU");
         const rotateVSlider = document.getElementById("rotateV");
@@ -132,6 +260,469 @@ export class Controls {
             this.camera.setViewAngle(parseFloat(event.target.value));
             document.getElementById("angleVal").innerText = event.target.value;
         });
+        // Depth of field
+        const apertureSlider = document.getElementById("aperture");
+        apertureSlider.addEventListener("input", (event) => {
+            this.camera.setAperture(parseFloat(event.target.value));
+            document.getElementById("apertureVal").innerText = event.target.value;
+        });
+        const focalLengthSlider = document.getElementById("focalLength");
+        focalLengthSlider.addEventListener("input", (event) => {
+            this.camera.setFocalLength(parseFloat(event.target.value));
+            document.getElementById("focalLengthVal").innerText = event.target.value;
+        });
+    }
+
+    // ——— Camera navigation ——————————————————————————————————————————
+
+    setupNavigation() {
+        const canvas = this.canvas;
+        canvas.tabIndex = 0;          // focusable, so it gets the fly keys
+        canvas.style.touchAction = "none";
+        canvas.addEventListener("contextmenu", (event) => event.preventDefault());
+
+        // an export traces tile after tile from the camera, moving it would mix poses in one image
+        const exporting = () => this.renderer.exporting;
+
+        canvas.addEventListener("pointerdown", (event) => {
+            if (exporting()) return;
+            this.renderer.bookmarks.stop(); // grabbing the view ends a path playback
+            canvas.focus();
+            canvas.setPointerCapture(event.pointerId);
+            this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            this.clickStart = event.button === 0 && this.pointers.size === 1
+                ? { x: event.clientX, y: event.clientY } : null;
+            this.isDragging = true;
+            // right or middle button, or shift, pans; left button orbits
+            this.dragMode = (event.button !== 0 || event.shiftKey) ? "pan" : "orbit";
+            this.prevMouseX = event.clientX;
+            this.prevMouseY = event.clientY;
+        });
+        canvas.addEventListener("pointermove", (event) => {
+            if (!this.pointers.has(event.pointerId) || exporting()) return;
+            if (this.pointers.size >= 2) {
+                this.handlePinch(event);
+                return;
+            }
+            const dx = event.clientX - this.prevMouseX;
+            const dy = event.clientY - this.prevMouseY;
+            this.prevMouseX = event.clientX;
+            this.prevMouseY = event.clientY;
+            this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            if (this.dragMode === "pan") {
+                this.pan(dx, dy);
+            } else {
+                this.orbit(dx, dy);
+            }
+        });
+        const endPointer = (event) => {
+            this.pointers.delete(event.pointerId);
+            this.isDragging = this.pointers.size > 0;
+            // the finger left on the glass carries on orbiting from where it is
+            for (const p of this.pointers.values()) {
+                this.prevMouseX = p.x;
+                this.prevMouseY = p.y;
+                this.dragMode = "orbit";
+            }
+        };
+        canvas.addEventListener("pointerup", (event) => {
+            // a press that hardly moved is a click, which inspects the object under it
+            const start = this.clickStart;
+            this.clickStart = null;
+            if (start && !exporting() && Math.hypot(event.clientX - start.x, event.clientY - start.y) <= CLICK_SLOP) {
+                this.inspectAt(event.clientX, event.clientY);
+            }
+            endPointer(event);
+        });
+        canvas.addEventListener("pointercancel", endPointer);
+
+        canvas.addEventListener("wheel", (event) => {
+            event.preventDefault();
+            if (exporting()) return;
+            this.dolly(Math.exp(event.deltaY * DOLLY_PER_WHEEL));
+        }, { passive: false });
+
+        canvas.addEventListener("keydown", (event) => {
+            const key = event.key.toLowerCase();
+            if (!FLY_KEYS.includes(key)) return;
+            event.preventDefault();
+            if (exporting()) return;
+            this.keysDown.add(key);
+            this.fast = event.shiftKey;
+            if (!this.flyFrame) {
+                this.lastFlyTime = performance.now();
+                this.flyFrame = requestAnimationFrame((t) => this.fly(t));
+            }
+        });
+        canvas.addEventListener("keyup", (event) => {
+            this.keysDown.delete(event.key.toLowerCase());
+            this.fast = event.shiftKey;
+        });
+        canvas.addEventListener("blur", () => this.keysDown.clear());
+    }
+
+    // two pointers: the change in their distance dollies, the move of their midpoint pans
+    handlePinch(event) {
+        const [a, b] = Array.from(this.pointers.values());
+        const spanBefore = Math.hypot(a.x - b.x, a.y - b.y);
+        const midBefore = [(a.x + b.x) / 2, (a.y + b.y) / 2];
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        const [c, d] = Array.from(this.pointers.values());
+        const spanAfter = Math.hypot(c.x - d.x, c.y - d.y);
+        const midAfter = [(c.x + d.x) / 2, (c.y + d.y) / 2];
+        if (spanAfter > 0) {
+            this.dolly(spanBefore / spanAfter);
+        }
+        this.pan(midAfter[0] - midBefore[0], midAfter[1] - midBefore[1]);
+    }
+
+    // point to orbit around, e.g. the authored focus point of a newly loaded camera
+    setOrbitTarget(point) {
+        vec3.copy(this.orbitTarget, point);
+    }
+
+    // put the orbit target distance ahead of the camera
+    placeOrbitTarget(distance) {
+        const look = vec3.normalize(vec3.create(), this.camera.getLookVector());
+        vec3.scaleAndAdd(this.orbitTarget, this.camera.getEyePoint(), look, distance);
+    }
+
+    orbitDistance() {
+        return Math.max(vec3.distance(this.camera.getEyePoint(), this.orbitTarget), MIN_ORBIT_DISTANCE);
+    }
+
+    // turntable orbit: yaw around world up, pitch around the camera's right axis, both through the target
+    orbit(dx, dy) {
+        const camera = this.camera;
+        const worldUp = vec3.fromValues(0, 1, 0);
+        camera.rotate(this.orbitTarget, worldUp, -dx * ORBIT_DEG_PER_PIXEL);
+
+        // keep the pitch short of the poles, where the up vector would flip
+        const look = vec3.normalize(vec3.create(), camera.getLookVector());
+        const pitch = Math.asin(Math.min(Math.max(look[1], -1), 1)) * 180 / Math.PI;
+        const maxPitch = 90 - MIN_PITCH_DEG;
+        const newPitch = Math.min(Math.max(pitch - dy * ORBIT_DEG_PER_PIXEL, -maxPitch), maxPitch);
+        const right = vec3.cross(vec3.create(), camera.getLookVector(), camera.getUpVector());
+        camera.rotate(this.orbitTarget, right, newPitch - pitch);
+
+        // orientLookAt takes out any roll the rotations picked up
+        camera.orientLookAt(camera.getEyePoint(), this.orbitTarget, worldUp);
+        this.cameraMoved();
+    }
+
+    // move camera and target in the view plane, so the point under the cursor follows it
+    pan(dx, dy) {
+        const worldPerPixel = 2 * this.orbitDistance() * Math.tan(this.camera.viewAngle * Math.PI / 360)
+            / Math.max(this.canvas.clientHeight, 1);
+        const offset = vec3.fromValues(-dx * worldPerPixel, dy * worldPerPixel, 0); // camera space
+        this.camera.translate(offset);
+        this.moveTargetWithCamera(offset);
+        this.cameraMoved();
+    }
+
+    // scale the distance to the target, factor < 1 moves in
+    dolly(factor) {
+        const distance = this.orbitDistance();
+        const newDistance = Math.max(distance * factor, MIN_ORBIT_DISTANCE);
+        this.camera.translate(vec3.fromValues(0, 0, newDistance - distance)); // camera looks down -z
+        this.cameraMoved();
+    }
+
+    // WASD moves in the view direction and sideways, Q/E down and up, shift is faster
+    fly(time) {
+        const seconds = Math.min((time - this.lastFlyTime) / 1000, 0.1);
+        this.lastFlyTime = time;
+        if (this.keysDown.size === 0 || this.renderer.exporting) {
+            this.flyFrame = 0;
+            return;
+        }
+        const speed = this.orbitDistance() * (this.fast ? 2.0 : 0.5) * seconds; // scene sized steps
+        const key = (k) => this.keysDown.has(k) ? 1 : 0;
+        const offset = vec3.fromValues(
+            (key("d") - key("a")) * speed,
+            (key("e") - key("q")) * speed,
+            (key("s") - key("w")) * speed
+        );
+        this.camera.translate(offset);
+        this.moveTargetWithCamera(offset);
+        this.cameraMoved();
+        this.flyFrame = requestAnimationFrame((t) => this.fly(t));
+    }
+
+    // offset is in camera space, as passed to camera.translate
+    moveTargetWithCamera(offset) {
+        const toWorld = mat3.fromMat4(mat3.create(), this.camera.getInverseModelViewMatrix());
+        const worldOffset = vec3.transformMat3(vec3.create(), offset, toWorld);
+        vec3.add(this.orbitTarget, this.orbitTarget, worldOffset);
+    }
+
+    cameraMoved() {
+        this.updateCameraInfo();
+        this.renderer.resetAccumulation();
+    }
+
+    // run a bookmark button's action, refresh the list and report problems in the status bar
+    runBookmarkAction(action) {
+        try {
+            action();
+        } catch (e) {
+            console.error("Bookmark action failed:", e);
+            this.renderer.statusElem.textContent = e.message;
+        }
+        this.showBookmarks();
+    }
+
+    // glTF scenes keep their meshes and images inside the file, so they can't be saved as XML
+    enableSaveScene(enabled) {
+        const button = document.getElementById("saveSceneButton");
+        button.disabled = !enabled;
+        button.title = enabled ? "" : "Scenes with glTF meshes or images can't be saved as XML";
+    }
+
+    // fill the bookmark list with the current scene's bookmarks
+    showBookmarks() {
+        const list = document.getElementById("bookmarkList");
+        const selected = list.value;
+        list.replaceChildren();
+        for (const name of this.renderer.bookmarks.list()) {
+            const option = document.createElement("option");
+            option.value = option.textContent = name;
+            list.appendChild(option);
+        }
+        list.value = selected;
+    }
+
+    // pick the object at a client (page) position and show it in the Inspector panel
+    inspectAt(clientX, clientY) {
+        const canvas = this.canvas;
+        const rect = canvas.getBoundingClientRect();
+        const x = (clientX - rect.left - canvas.clientLeft) * canvas.width / canvas.clientWidth;
+        const y = (clientY - rect.top - canvas.clientTop) * canvas.height / canvas.clientHeight;
+        if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) return;
+        try {
+            this.showInspector(this.renderer.pick(x, y));
+        } catch (e) {
+            console.error("Picking failed:", e);
+            this.renderer.statusElem.textContent = "Picking failed: " + e.message;
+        }
+    }
+
+    // fill the Inspector panel with a pick result (see WebGLRenderer.pick), null for a miss
+    showInspector(result) {
+        const panel = document.getElementById("inspector");
+        panel.replaceChildren();
+        if (!result || !result.object) {
+            panel.textContent = "Nothing hit, click an object to inspect it";
+            return;
+        }
+        const parser = this.renderer.sceneParser;
+        const { object, index, t } = result;
+        const num = (v) => Number.isFinite(v) ? String(+v.toFixed(4)) : String(v);
+        const rgb = (c) => `${num(c.r)} ${num(c.g)} ${num(c.b)}`;
+        const where = (source) => {
+            if (!source) return "(not from the scene file)";
+            return (source.line ? `line ${source.line}:${source.column} ` : "") + source.path;
+        };
+        const map = (m) => m.isUsed ? `${m.filename} (repeat ${num(m.repeatU)} × ${num(m.repeatV)}, ${m.colorSpace})` : "none";
+
+        const m = object.material;
+        const rows = [
+            ["Object", `#${index} ${PRIMITIVE_NAMES[object.type] || object.type}${object.meshfile ? " " + object.meshfile : ""}`],
+            ["Hit distance", num(t)],
+            ["Defined at", where(parser.getSource(object.primitive))],
+            // the chain matters for masters: the same primitive can be placed from several transblocks
+            ["Placed by", object.nodes.map(node => parser.getSource(node)).filter(Boolean).map(where).join("\n") || "root"],
+            ["World matrix", [0, 1, 2, 3].map(r => Array.from(object.worldMatrix.slice(r * 4, r * 4 + 4), num).join("  ")).join("\n")],
+            ["Diffuse", rgb(m.cDiffuse)],
+            ["Ambient", rgb(m.cAmbient)],
+            ["Specular", rgb(m.cSpecular)],
+            ["Reflective", rgb(m.cReflective)],
+            ["Transparent", rgb(m.cTransparent)],
+            ["Emissive", rgb(m.cEmissive)],
+            ["Shininess", num(m.shininess)],
+            ["IOR", num(m.ior)],
+            ["Texture", map(m.textureMap)],
+            ["Blend", num(m.blend)],
+            ["Bump map", m.bumpMap.isUsed ? `${map(m.bumpMap)}, ${m.bumpMap.format} × ${num(m.bumpMap.strength)}` : "none"]
+        ];
+        const table = document.createElement("table");
+        table.className = "table is-narrow is-fullwidth";
+        for (const [label, value] of rows) {
+            const row = table.insertRow();
+            row.insertCell().textContent = label;
+            const cell = row.insertCell();
+            cell.textContent = value;
+            cell.style.whiteSpace = "pre";
+        }
+        panel.appendChild(table);
+
+        // select it in the scene tree too, so it can be edited right away
+        const treeIndex = this.sceneTreeItems.indexOf(object.primitive);
+        if (treeIndex >= 0) {
+            document.getElementById("sceneTree").value = treeIndex;
+            this.showSceneEditFields();
+        }
+    }
+
+    // list the parsed SceneNode hierarchy in the scene tree: named objects at the top level,
+    // their transblocks and primitives indented below, masters as a reference to their definition
+    showSceneTree() {
+        const list = document.getElementById("sceneTree");
+        const parser = this.renderer.sceneParser;
+        list.replaceChildren();
+        this.sceneTreeItems = [];
+        const objectsByName = parser.getObjects();
+        const objects = parser.getObjectNames().map(name => [name, objectsByName[name]]);
+        const names = new Map(objects.map(([name, node]) => [node, name]));
+        const add = (depth, text, item) => {
+            const option = document.createElement("option");
+            option.value = this.sceneTreeItems.length;
+            option.textContent = "\u00a0\u00a0".repeat(depth) + text;
+            list.appendChild(option);
+            this.sceneTreeItems.push(item);
+        };
+        const addNode = (node, depth) => {
+            for (const primitive of node.primitives) {
+                add(depth, (PRIMITIVE_NAMES[primitive.type] || "primitive") + (primitive.meshfile ? ` ${primitive.meshfile}` : ""), primitive);
+            }
+            for (const child of node.children) {
+                if (names.has(child)) {
+                    add(depth, `↳ master ${names.get(child)}`, child);
+                    continue;
+                }
+                const source = parser.getSource(child);
+                add(depth, source ? (source.line ? `transblock, line ${source.line}` : source.path) : "node", child);
+                addNode(child, depth + 1);
+            }
+        };
+        for (const [name, node] of objects) {
+            add(0, `object ${name}`, node);
+            addNode(node, 1);
+        }
+        this.showSceneEditFields();
+        this.updateSceneEditControls();
+    }
+
+    // number fields for the scene tree's selection: the transformations of a node,
+    // or the material of a primitive
+    showSceneEditFields() {
+        const panel = document.getElementById("sceneEditFields");
+        panel.replaceChildren();
+        const item = this.sceneTreeItems[document.getElementById("sceneTree").value];
+        if (!item) return;
+        const row = (label, inputs) => {
+            const field = document.createElement("div");
+            field.className = "field";
+            const title = document.createElement("label");
+            title.className = "label";
+            title.textContent = label;
+            const controls = document.createElement("div");
+            controls.className = "is-flex";
+            controls.append(...inputs);
+            field.append(title, controls);
+            panel.appendChild(field);
+        };
+        const input = (target, key, toField, fromField) => this.sceneEditInput(target, key, toField, fromField);
+        const xyz = (array) => [0, 1, 2].map(i => input(array, i));
+
+        if (item instanceof ScenePrimitive) {
+            const m = item.material;
+            for (const [label, key] of MATERIAL_COLORS) {
+                row(label, ["r", "g", "b"].map(c => input(m[key], c)));
+            }
+            row("Shininess", [input(m, "shininess")]);
+            row("IOR", [input(m, "ior")]);
+            row("Blend", [input(m, "blend")]);
+            if (m.textureMap.isUsed) row("Texture repeat U, V", [input(m.textureMap, "repeatU"), input(m.textureMap, "repeatV")]);
+            if (m.bumpMap.isUsed) row("Bump strength", [input(m.bumpMap, "strength")]);
+            return;
+        }
+        if (item.transformations.length === 0) {
+            panel.textContent = "No transformations on this node";
+        }
+        for (const t of item.transformations) {
+            switch (t.type) {
+                case TransformationType.TRANSFORMATION_TRANSLATE:
+                    row("Translate", xyz(t.translate));
+                    break;
+                case TransformationType.TRANSFORMATION_SCALE:
+                    row("Scale", xyz(t.scale));
+                    break;
+                case TransformationType.TRANSFORMATION_ROTATE:
+                    // the angle is kept in radians
+                    row("Rotate axis, angle (degrees)", [...xyz(t.rotate),
+                        input(t, "angle", v => v * 180 / Math.PI, v => v * Math.PI / 180)]);
+                    break;
+                case TransformationType.TRANSFORMATION_MATRIX:
+                    for (let r = 0; r < 4; r++) {
+                        row(`Matrix row ${r + 1}`, [0, 1, 2, 3].map(c => input(t.matrix, r * 4 + c)));
+                    }
+                    break;
+            }
+        }
+    }
+
+    // a number field bound to target[key], toField / fromField convert for display (radians ↔ degrees)
+    sceneEditInput(target, key, toField = v => v, fromField = v => v) {
+        const input = document.createElement("input");
+        input.type = "number";
+        input.step = "0.1";
+        input.className = "input is-small";
+        input.value = +toField(target[key]).toFixed(4);
+        input.disabled = this.renderer.exporting;
+        input.addEventListener("change", () => {
+            try {
+                this.renderer.sceneEditor.set(target, key, fromField(parseFloat(input.value)));
+            } catch (e) {
+                console.error("Scene edit failed:", e);
+                this.renderer.statusElem.textContent = e.message;
+                input.value = +toField(target[key]).toFixed(4);
+            }
+            this.updateSceneEditControls();
+        });
+        return input;
+    }
+
+    // undo or redo, then show the values as they are now
+    runSceneEdit(action) {
+        try {
+            action();
+        } catch (e) {
+            console.error("Scene edit failed:", e);
+            this.renderer.statusElem.textContent = e.message;
+        }
+        this.showSceneEditFields();
+        this.updateSceneEditControls();
+    }
+
+    // undo / redo buttons and edit fields, all disabled while an export is running
+    updateSceneEditControls() {
+        const exporting = this.renderer.exporting;
+        document.getElementById("undoEdit").disabled = exporting || !this.renderer.sceneEditor.canUndo;
+        document.getElementById("redoEdit").disabled = exporting || !this.renderer.sceneEditor.canRedo;
+        for (const input of document.querySelectorAll("#sceneEditFields input")) {
+            input.disabled = exporting;
+        }
+    }
+
+    // list the scene parser's diagnostics in the Scene Diagnostics panel
+    showDiagnostics(diagnostics) {
+        const list = document.getElementById("diagnosticsList");
+        list.replaceChildren();
+        if (diagnostics.length === 0) {
+            const item = document.createElement("li");
+            item.textContent = "No problems found";
+            list.appendChild(item);
+            return;
+        }
+        for (const d of diagnostics) {
+            const item = document.createElement("li");
+            item.className = d.severity === "error" ? "has-text-danger" : "has-text-warning-dark";
+            const where = d.line ? `line ${d.line}:${d.column} ` : "";
+            item.textContent = `${d.severity}: ${where}${d.message}`;
+            if (d.path) item.textContent += ` (${d.path})`;
+            list.appendChild(item);
+        }
     }
 
     updateCameraInfo() {
@@ -153,6 +744,10 @@ export class Controls {
         document.getElementById("nearVal").innerText = this.camera.nearPlane;
         document.getElementById("farVal").innerText = this.camera.farPlane;
         document.getElementById("angleVal").innerText = this.camera.viewAngle;
+        document.getElementById("aperture").value = this.camera.aperture;
+        document.getElementById("focalLength").value = this.camera.focalLength;
+        document.getElementById("apertureVal").innerText = this.camera.aperture;
+        document.getElementById("focalLengthVal").innerText = this.camera.focalLength;
         document.getElementById("rotateU").value = this.camera.rotU;
         document.getElementById("rotateV").value = this.camera.rotV;
         document.getElementById("rotateW").value = this.camera.rotW;
@@ -0,0 +1,186 @@
+import { encodePPM } from './ppm.js';
+
+const TILE_SIZE = 256;          // tile side in pixels, keeps every draw call short
+const MAX_EXPORT_SIZE = 16384;  // largest image side we accept
+const SAMPLES_PER_YIELD = 16;   // give the browser a turn this often while sampling a tile
+
+// renders the current scene offscreen at any resolution and downloads it as png + ppm
+export class RenderExporter {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.busy = false;
+        this.cancelled = false; // set by cancel() to stop a frame sequence
+    }
+
+    // render, then download render.png and render.ppm
+    async run(width, height, samples) {
+        const renderer = this.renderer;
+        if (this.busy) return;
+        this.busy = true;
+        renderer.exporting = true; // pauses the live view
+        renderer.bookmarks.stop(); // a playing path would move the camera between tiles
+        renderer.controls.updateSceneEditControls(); // no scene edits until it's done
+        try {
+            const start = performance.now();
+            const pixels = await this.render(width, height, samples, (done) => {
+                renderer.statusElem.textContent =
+                    `Exporting ${width}×${height}, ${samples} samples... ${Math.round(done * 100)}%`;
+            });
+            const png = await this.toPNG(width, height, pixels);
+            this.download(png, 'render.png');
+            this.download(new Blob([encodePPM(width, height, pixels)], { type: 'image/x-portable-pixmap' }), 'render.ppm');
+            const seconds = ((performance.now() - start) / 1000).toFixed(1);
+            renderer.statusElem.textContent = `Exported ${width}×${height} with ${samples} samples in ${seconds}s`;
+        } catch (e) {
+            console.error('Export failed:', e);
+            renderer.statusElem.textContent = 'Export failed: ' + e.message;
+        } finally {
+            renderer.exporting = false;
+            renderer.controls.updateSceneEditControls();
+            renderer.resetAccumulation();
+            this.busy = false;
+        }
+    }
+
+    // render every pose in turn and download them as frame_0001.png, frame_0002.png, ...
+    // the live camera is back where it was afterwards
+    async runSequence(poses, width, height, samples) {
+        const renderer = this.renderer;
+        if (this.busy) return;
+        this.busy = true;
+        this.cancelled = false;
+        renderer.exporting = true;
+        renderer.bookmarks.stop();
+        renderer.controls.updateSceneEditControls();
+        const livePose = renderer.camera.getPose();
+        try {
+            const start = performance.now();
+            for (let f = 0; f < poses.length && !this.cancelled; f++) {
+                renderer.camera.setPose(poses[f]);
+                const pixels = await this.render(width, height, samples, (done) => {
+                    renderer.statusElem.textContent =
+                        `Rendering frame ${f + 1}/${poses.length}... ${Math.round(done * 100)}%`;
+                });
+                this.download(await this.toPNG(width, height, pixels), `frame_${String(f + 1).padStart(4, '0')}.png`);
+            }
+            const seconds = ((performance.now() - start) / 1000).toFixed(1);
+            renderer.statusElem.textContent = this.cancelled
+                ? 'Frame rendering cancelled'
+                : `Rendered ${poses.length} frames at ${width}×${height}, ${samples} samples in ${seconds}s`;
+        } catch (e) {
+            console.error('Frame rendering failed:', e);
+            renderer.statusElem.textContent = 'Frame rendering failed: ' + e.message;
+        } finally {
+            renderer.camera.setPose(livePose);
+            renderer.exporting = false;
+            renderer.controls.updateSceneEditControls();
+            renderer.resetAccumulation();
+            this.busy = false;
+        }
+    }
+
+    // stop a frame sequence after the frame being rendered
+    cancel() {
+        this.cancelled = true;
+    }
+
+    // trace width x height pixels tile by tile, averaging `samples` jittered samples each
+    // returns 8-bit RGB, rows top to bottom
+    async render(width, height, samples, onProgress) {
+        const renderer = this.renderer;
+        const gl = renderer.gl;
+        if (!renderer.sceneReady) throw new Error('no scene loaded');
+        if (!renderer.floatTargets) throw new Error('float render targets (EXT_color_buffer_float) not supported');
+        for (const [name, v] of [['width', width], ['height', height]]) {
+            if (!Number.isInteger(v) || v < 1 || v > MAX_EXPORT_SIZE) {
+                throw new Error(`${name} must be between 1 and ${MAX_EXPORT_SIZE}`);
+            }
+        }
+        if (!Number.isInteger(samples) || samples < 1) throw new Error('samples must be at least 1');
+
+        const targets = [renderer.createFloatTarget(TILE_SIZE, TILE_SIZE), renderer.createFloatTarget(TILE_SIZE, TILE_SIZE)];
+        const tileData = new Float32Array(TILE_SIZE * TILE_SIZE * 4);
+        const pixels = new Uint8Array(width * height * 3);
+        const tilesX = Math.ceil(width / TILE_SIZE);
+        const tilesY = Math.ceil(height / TILE_SIZE);
+        try {
+            for (let ty = 0; ty < tilesY; ty++) {
+                for (let tx = 0; tx < tilesX; tx++) {
+                    const x0 = tx * TILE_SIZE;
+                    const y0 = ty * TILE_SIZE;
+                    const w = Math.min(TILE_SIZE, width - x0);
+                    const h = Math.min(TILE_SIZE, height - y0);
+
+                    // same blending as the live view: the first sample goes through pixel centers
+                    let index = 0;
+                    for (let s = 0; s < samples; s++) {
+                        const jitter = s > 0 ? [Math.random() - 0.5, Math.random() - 0.5] : [0, 0];
+                        const prev = targets[index];
+                        const next = targets[1 - index];
+                        gl.bindFramebuffer(gl.FRAMEBUFFER, next.fbo);
+                        gl.viewport(0, 0, w, h);
+                        renderer.setTraceUniforms(width, height, s, jitter, prev.texture, [x0, y0]);
+                        renderer.drawFullScreen();
+                        index = 1 - index;
+                        if ((s + 1) % SAMPLES_PER_YIELD === 0) await this.yieldToBrowser();
+                    }
+
+                    // read the tile back; gl rows go bottom to top, image rows top to bottom
+                    gl.bindFramebuffer(gl.FRAMEBUFFER, targets[index].fbo);
+                    gl.readPixels(0, 0, w, h, gl.RGBA, gl.FLOAT, tileData);
+                    for (let j = 0; j < h; j++) {
+                        const row = height - 1 - (y0 + j);
+                        for (let i = 0; i < w; i++) {
+                            const src = (j * w + i) * 4;
+                            const dst = (row * width + x0 + i) * 3;
+                            for (let c = 0; c < 3; c++) {
+                                const v = tileData[src + c];
+                                pixels[dst + c] = Math.round(Math.min(Math.max(v, 0), 1) * 255);
+                            }
+                        }
+                    }
+                    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+                    if (onProgress) onProgress((ty * tilesX + tx + 1) / (tilesX * tilesY));
+                    await this.yieldToBrowser();
+                }
+            }
+        } finally {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            targets.forEach(t => renderer.deleteFloatTarget(t));
+        }
+        return pixels;
+    }
+
+    yieldToBrowser() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    // 8-bit RGB pixels to a png blob through a 2d canvas
+    toPNG(width, height, rgb) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(width, height);
+        for (let p = 0; p < width * height; p++) {
+            image.data[p * 4] = rgb[p * 3];
+            image.data[p * 4 + 1] = rgb[p * 3 + 1];
+            image.data[p * 4 + 2] = rgb[p * 3 + 2];
+            image.data[p * 4 + 3] = 255;
+        }
+        ctx.putImageData(image, 0, 0);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+        });
+    }
+
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
@@ -0,0 +1,134 @@
+import { unzip } from './zip.js';
+
+// fileSet.js: the files that came with a scene (picked, dropped as a folder or a .zip),
+// so textures and meshes resolve against them instead of the page URL
+
+const SCENE_EXTENSIONS = ['xml', 'gltf', 'glb'];
+
+const extensionOf = (path) => path.split('?')[0].split('.').pop().toLowerCase();
+const basenameOf = (path) => path.split('/').pop();
+
+// forward slashes, no leading "/" or "./", ".." folded away
+function normalizePath(path) {
+    const parts = [];
+    for (const part of path.replace(/\\/g, '/').split('/')) {
+        if (part === '' || part === '.') continue;
+        if (part === '..') parts.pop();
+        else parts.push(part);
+    }
+    return parts.join('/');
+}
+
+// fetch a URL relative to the page, like scenes always did
+export async function fetchFile(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not load ${url} (${response.status})`);
+    return response.arrayBuffer();
+}
+
+export class SceneFileSet {
+    constructor() {
+        this.files = new Map(); // normalized path → Blob
+        this.sceneDir = '';     // folder of the scene file, relative names start here
+    }
+
+    // files picked with an <input type="file" multiple>, zips are unpacked
+    static async fromFiles(fileList) {
+        const set = new SceneFileSet();
+        for (const file of fileList) {
+            await set.addFile(file.webkitRelativePath || file.name, file);
+        }
+        return set;
+    }
+
+    // a drop event's DataTransfer, folders are walked recursively
+    // the entries have to be taken before the first await, the browser clears them after the event
+    static async fromDataTransfer(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+            .filter(Boolean);
+        if (entries.length === 0) {
+            return SceneFileSet.fromFiles(Array.from(dataTransfer.files || []));
+        }
+        const set = new SceneFileSet();
+        for (const entry of entries) {
+            await set._addEntry(entry);
+        }
+        return set;
+    }
+
+    async _addEntry(entry) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            await this.addFile(entry.fullPath, file);
+        } else if (entry.isDirectory) {
+            const reader = entry.createReader();
+            // readEntries hands out the folder in batches until it returns an empty one
+            for (;;) {
+                const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                if (batch.length === 0) break;
+                for (const child of batch) {
+                    await this._addEntry(child);
+                }
+            }
+        }
+    }
+
+    // add one file, a .zip adds its contents under the zip's folder
+    async addFile(path, blob) {
+        path = normalizePath(path);
+        if (extensionOf(path) === 'zip') {
+            const dir = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+            const entries = await unzip(await blob.arrayBuffer());
+            for (const [name, bytes] of entries) {
+                this.files.set(normalizePath(dir + name), new Blob([bytes]));
+            }
+        } else {
+            this.files.set(path, blob);
+        }
+    }
+
+    get size() {
+        return this.files.size;
+    }
+
+    /**
+     * Paths of the scene files in the set, shallowest first, so a scene at the top of a
+     * dropped folder wins over ones in sub folders.
+     */
+    getScenePaths() {
+        const depth = (path) => path.split('/').length;
+        return Array.from(this.files.keys())
+            .filter(path => SCENE_EXTENSIONS.includes(extensionOf(path)) && !basenameOf(path).startsWith('.'))
+            .sort((a, b) => depth(a) - depth(b) || a.localeCompare(b));
+    }
+
+    // relative names in the scene resolve against the folder holding scenePath
+    setScenePath(scenePath) {
+        const path = normalizePath(scenePath);
+        this.sceneDir = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+    }
+
+    /**
+     * Path in the set a scene reference points at, or null.
+     * Tries the scene's folder, then the top of the set, then a file with the same
+     * name anywhere, as long as there is only one.
+     */
+    resolve(name) {
+        if (/^[a-z][a-z0-9+.-]*:/i.test(name)) return null; // data: or http: urls
+        const candidates = [normalizePath(this.sceneDir + name), normalizePath(name)];
+        for (const path of candidates) {
+            if (this.files.has(path)) return path;
+        }
+        const base = basenameOf(normalizePath(name));
+        const matches = Array.from(this.files.keys()).filter(path => basenameOf(path) === base);
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    // contents of a referenced file, falling back to the page URL when the set doesn't have it
+    async read(name) {
+        const path = this.resolve(name);
+        if (path) return this.files.get(path).arrayBuffer();
+        return fetchFile(name);
+    }
+}
@@ -0,0 +1,105 @@
+// obj.js: wavefront obj parser, turns a mesh file into a flat triangle soup
+// Each triangle stores 3 positions, 3 normals and 3 uvs (one per corner)
+export function loadOBJFromText(objText) {
+    const positions = [];   // [x, y, z] from "v"
+    const normals = [];     // [x, y, z] from "vn"
+    const uvs = [];         // [u, v]    from "vt"
+    const faces = [];       // each face corner: { p, t, n } (0-based, -1 if missing)
+
+    // obj indices are 1-based, negative values count back from the end
+    const resolveIndex = (str, count) => {
+        if (!str) return -1;
+        const i = parseInt(str, 10);
+        if (isNaN(i)) return -1;
+        return i < 0 ? count + i : i - 1;
+    };
+
+    // 1) read vertex data and faces
+    const lines = objText.split('\n');
+    for (let line of lines) {
+        line = line.trim();
+        if (!line || line.startsWith('#')) continue;
+        const parts = line.split(/\s+/);
+        switch (parts[0]) {
+            case 'v':
+                positions.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
+                break;
+            case 'vn':
+                normals.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
+                break;
+            case 'vt':
+                uvs.push([parseFloat(parts[1]), parseFloat(parts[2] || '0')]);
+                break;
+            case 'f': {
+                const corners = parts.slice(1).map((c) => {
+                    const [p, t, n] = c.split('/');
+                    return {
+                        p: resolveIndex(p, positions.length),
+                        t: resolveIndex(t, uvs.length),
+                        n: resolveIndex(n, normals.length)
+                    };
+                });
+                // triangulate polygons as a fan around the first corner
+                for (let i = 1; i + 1 < corners.length; i++) {
+                    faces.push([corners[0], corners[i], corners[i + 1]]);
+                }
+                break;
+            }
+            default:
+                // groups, materials, smoothing groups etc. are ignored
+                break;
+        }
+    }
+    if (faces.length === 0) throw new Error('OBJ has no faces');
+
+    // 2) fill in smooth vertex normals for corners that don't reference one
+    const smooth = positions.map(() => [0, 0, 0]);
+    for (const tri of faces) {
+        const [a, b, c] = tri.map(k => positions[k.p]);
+        if (!a || !b || !c) throw new Error('OBJ face references a missing vertex');
+        const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+        // area-weighted face normal
+        const fn = [
+            e1[1] * e2[2] - e1[2] * e2[1],
+            e1[2] * e2[0] - e1[0] * e2[2],
+            e1[0] * e2[1] - e1[1] * e2[0]
+        ];
+        for (const k of tri) {
+            smooth[k.p][0] += fn[0];
+            smooth[k.p][1] += fn[1];
+            smooth[k.p][2] += fn[2];
+        }
+    }
+    for (const n of smooth) {
+        const len = Math.hypot(n[0], n[1], n[2]) || 1;
+        n[0] /= len; n[1] /= len; n[2] /= len;
+    }
+
+    // 3) unroll into flat arrays
+    const triangleCount = faces.length;
+    const mesh = {
+        triangleCount,
+        positions: new Float32Array(triangleCount * 9),
+        normals:   new Float32Array(triangleCount * 9),
+        uvs:       new Float32Array(triangleCount * 6),
+        min: [Infinity, Infinity, Infinity],
+        max: [-Infinity, -Infinity, -Infinity]
+    };
+    faces.forEach((tri, i) => {
+        tri.forEach((k, j) => {
+            const p = positions[k.p];
+            const n = k.n >= 0 && normals[k.n] ? normals[k.n] : smooth[k.p];
+            const t = k.t >= 0 && uvs[k.t] ? uvs[k.t] : [0, 0];
+            mesh.positions.set(p, (i * 3 + j) * 3);
+            mesh.normals.set(n, (i * 3 + j) * 3);
+            mesh.uvs.set(t, (i * 3 + j) * 2);
+            for (let a = 0; a < 3; a++) {
+                mesh.min[a] = Math.min(mesh.min[a], p[a]);
+                mesh.max[a] = Math.max(mesh.max[a], p[a]);
+            }
+        });
+    });
+    console.log(`OBJ: ${positions.length} vertices, ${triangleCount} triangles`);
+    return mesh;
+}
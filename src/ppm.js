@@ -1,43 +1,153 @@
 // ppm.js: ppm parser, mirrors c++ ppm parser 
-export function loadPPMFromText(gl, ppmText) {
-    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+// reads netpbm bytes: P3/P2 (ascii rgb/gray) and P6/P5 (binary rgb/gray)
+
+// whitespace bytes that separate header fields and ascii samples
+const isSpace = b => b === 0x20 || b === 0x09 || b === 0x0a || b === 0x0d || b === 0x0b || b === 0x0c;
+
+// decode a ppm/pgm file into rgb samples, grayscale is expanded to rgb
+// returns { width, height, maxVal, pixels }: pixels is a Uint8Array for maxVal < 256, Uint16Array otherwise
+export function decodePPM(bytes) {
+    const len = bytes.length;
+    let pos = 0;
+
+    // next unsigned integer, skipping whitespace and # comments
+    const nextInt = () => {
+        while (pos < len) {
+            if (bytes[pos] === 0x23) { // '#' runs to the end of the line
+                while (pos < len && bytes[pos] !== 0x0a && bytes[pos] !== 0x0d) pos++;
+            } else if (isSpace(bytes[pos])) {
+                pos++;
+            } else {
+                break;
+            }
+        }
+        if (pos >= len) throw new Error('PPM too short');
+        let value = 0;
+        const start = pos;
+        while (pos < len && bytes[pos] >= 0x30 && bytes[pos] <= 0x39) {
+            value = value * 10 + (bytes[pos] - 0x30);
+            pos++;
+        }
+        if (pos === start) throw new Error(`PPM has a non-numeric value at byte ${pos}`);
+        return value;
+    };
+
+    // 1) handle header
+    const magic = len >= 2 ? String.fromCharCode(bytes[0], bytes[1]) : '';
+    if (!['P2', 'P3', 'P5', 'P6'].includes(magic)) {
+        throw new Error(`Unsupported PPM format "${magic}", expected P2, P3, P5 or P6`);
+    }
+    pos = 2;
+    const width  = nextInt();
+    const height = nextInt();
+    const maxVal = nextInt();
+    if (width < 1 || height < 1) throw new Error(`PPM has an invalid size ${width} × ${height}`);
+    if (maxVal < 1 || maxVal > 65535) throw new Error(`PPM has an invalid max value ${maxVal}`);
+    console.log(`PPM ${magic} size: ${width} × ${height} (max=${maxVal})`);
+
+    // 2) read samples
+    const channels = (magic === 'P3' || magic === 'P6') ? 3 : 1;
+    const count = width * height * channels;
+    const samples = maxVal > 255 ? new Uint16Array(count) : new Uint8Array(count);
+    if (magic === 'P5' || magic === 'P6') {
+        pos++; // a single whitespace byte separates the header from the raster
+        const bytesPerSample = maxVal > 255 ? 2 : 1;
+        if (pos + count * bytesPerSample > len) throw new Error('PPM too short');
+        if (bytesPerSample === 1) {
+            samples.set(bytes.subarray(pos, pos + count));
+        } else {
+            // 16-bit samples are big-endian
+            for (let i = 0; i < count; i++) {
+                samples[i] = (bytes[pos + 2 * i] << 8) | bytes[pos + 2 * i + 1];
+            }
+        }
+    } else {
+        for (let i = 0; i < count; i++) samples[i] = nextInt();
+    }
 
-    // 1) split lines, strip comments
-    const lines = ppmText.split('\n');
-    const tokens = [];
-    for (let line of lines) {
-        line = line.trim();
-        if (!line || line.startsWith('#')) continue;
-        tokens.push(...line.split(/\s+/));
+    // 3) grayscale to rgb
+    let pixels = samples;
+    if (channels === 1) {
+        pixels = new samples.constructor(count * 3);
+        for (let i = 0; i < count; i++) {
+            pixels[i * 3] = pixels[i * 3 + 1] = pixels[i * 3 + 2] = samples[i];
+        }
     }
+    return { width, height, maxVal, pixels };
+}
 
-    // 2) handle header
-    const magic  = tokens.shift();
-    if (magic !== 'P3') throw new Error('Only ASCII P3 PPM supported');
-    const width  = parseInt(tokens.shift(), 10);
-    const height = parseInt(tokens.shift(), 10);
-    const maxVal = parseInt(tokens.shift(), 10);
-    console.log(`PPM size: ${width} × ${height} (max=${maxVal})`);
+// sRGB transfer function to linear, v in [0, 1]
+const srgbToLinear = v => v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
 
-    // 3) read pixels
-    const pixelCount = width * height * 3;
-    const raw = tokens.slice(0, pixelCount).map(n => parseInt(n, 10));
-    if (raw.length < pixelCount) throw new Error('PPM too short');
-    const imageData = new Uint8Array(raw);
+// load a netpbm file (ArrayBuffer or Uint8Array) into a texture
+// maxVal 255 uploads as RGB8, smaller ranges are rescaled to 8 bits,
+// 16-bit files become half float textures so the extra precision survives
+// options.srgb: the samples are sRGB encoded and get decoded to linear when sampled
+export function loadPPM(gl, buffer, options = {}) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const { width, height, maxVal, pixels } = decodePPM(bytes);
+    const srgb = !!options.srgb;
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
 
     // 4) upload
+    let imageData;
+    let isFloat = false;
     const tex = gl.createTexture();
     gl.bindTexture(gl.TEXTURE_2D, tex);
-    gl.texImage2D(
-        gl.TEXTURE_2D, 0, gl.RGB,
-        width, height, 0,
-        gl.RGB, gl.UNSIGNED_BYTE,
-        imageData
-    );
+    if (maxVal > 255) {
+        // RGBA16F rather than RGB16F: only the former can have mipmaps generated
+        // there is no sRGB half float format, so decode to linear here
+        const decode = srgb ? v => srgbToLinear(v / maxVal) : v => v / maxVal;
+        imageData = new Float32Array(width * height * 4);
+        for (let p = 0; p < width * height; p++) {
+            imageData[p * 4]     = decode(pixels[p * 3]);
+            imageData[p * 4 + 1] = decode(pixels[p * 3 + 1]);
+            imageData[p * 4 + 2] = decode(pixels[p * 3 + 2]);
+            imageData[p * 4 + 3] = 1.0;
+        }
+        gl.texImage2D(
+            gl.TEXTURE_2D, 0, gl.RGBA16F,
+            width, height, 0,
+            gl.RGBA, gl.FLOAT,
+            imageData
+        );
+        isFloat = true;
+    } else {
+        imageData = pixels;
+        if (maxVal < 255) {
+            imageData = new Uint8Array(pixels.length);
+            for (let i = 0; i < pixels.length; i++) imageData[i] = Math.round(pixels[i] * 255 / maxVal);
+        }
+        if (srgb) {
+            // SRGB8_ALPHA8 rather than SRGB8: only the former can have mipmaps generated
+            const rgba = new Uint8Array(width * height * 4);
+            for (let p = 0; p < width * height; p++) {
+                rgba[p * 4]     = imageData[p * 3];
+                rgba[p * 4 + 1] = imageData[p * 3 + 1];
+                rgba[p * 4 + 2] = imageData[p * 3 + 2];
+                rgba[p * 4 + 3] = 255;
+            }
+            gl.texImage2D(
+                gl.TEXTURE_2D, 0, gl.SRGB8_ALPHA8,
+                width, height, 0,
+                gl.RGBA, gl.UNSIGNED_BYTE,
+                rgba
+            );
+        } else {
+            gl.texImage2D(
+                gl.TEXTURE_2D, 0, gl.RGB,
+                width, height, 0,
+                gl.RGB, gl.UNSIGNED_BYTE,
+                imageData
+            );
+        }
+    }
 
     // 5) error handling - POT vs NPOT
+    // half float mipmaps need the format to be renderable (EXT_color_buffer_float)
     const isPow2 = v => (v & (v - 1)) === 0;
-    if (isPow2(width) && isPow2(height)) {
+    const canMipmap = !isFloat || !!gl.getExtension('EXT_color_buffer_float');
+    if (isPow2(width) && isPow2(height) && canMipmap) {
         gl.generateMipmap(gl.TEXTURE_2D);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
@@ -49,4 +159,18 @@ export function loadPPMFromText(gl, ppmText) {
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
     }
     return { tex, imageData, width, height };
-}
\ No newline at end of file
+}
+
+// ascii files already read as text
+export function loadPPMFromText(gl, ppmText) {
+    return loadPPM(gl, new TextEncoder().encode(ppmText));
+}
+
+// encode 8-bit RGB pixels (rows top to bottom) as a binary P6 ppm
+export function encodePPM(width, height, rgb) {
+    const header = new TextEncoder().encode(`P6\n${width} ${height}\n255\n`);
+    const bytes = new Uint8Array(header.length + width * height * 3);
+    bytes.set(header, 0);
+    bytes.set(rgb.subarray(0, width * height * 3), header.length);
+    return bytes;
+}
@@ -1,30 +1,80 @@
 import { Camera } from './camera.js';
 import { Controls } from './controls.js';
 import { XMLSceneParser } from './XMLSceneParser.js';
+import { GLTFSceneParser } from './GLTFSceneParser.js';
 import { SceneFlattener } from './SceneFlattener.js';
 import { ShaderProgram } from './shaderProgram.js';
-import { loadPPMFromText } from './ppm.js';
+import { loadTextureFromBytes } from './textureLoader.js';
+import { loadOBJFromText } from './obj.js';
+import { RenderExporter } from './exporter.js';
+import { XMLSceneWriter } from './XMLSceneWriter.js';
+import { SceneFileSet } from './fileSet.js';
+import { CameraBookmarks } from './bookmarks.js';
+import { SceneEditor } from './sceneEditor.js';
+
+// texture unit 0 holds the scene buffer, 1 the texture atlas
+const TEXTURE_ATLAS_UNIT = 1;
+const MESH_TEXTURE_UNIT = 9;
+const BVH_TEXTURE_UNIT = 10;
+const ACCUM_TEXTURE_UNIT = 11;
+const LIGHT_TEXTURE_UNIT = 12;
+
+const ATLAS_MEMORY_BUDGET = 512 * 1024 * 1024; // bytes, layers shrink to stay below this
+
+const DEBUG_PICK = 8; // uDebugView that writes (object index, hit distance), must match test.frag
+
+// vertex + fragment shader of each program, in ./shaders/
+const SHADER_FILES = {
+    rayTrace: ['test.vert', 'test.frag'],
+    display: ['test.vert', 'display.frag'],
+    copy: ['test.vert', 'copy.frag'],
+};
 
 export class WebGLRenderer {
     constructor(canvasId, statusId, xmlInputId) {
         this.canvas = document.getElementById(canvasId);     // make a canvas 
         this.statusElem = document.getElementById(statusId); // tells user status, eg file loaded successfully
-        this.xmlInput = document.getElementById(xmlInputId); // user uploads XML scene file
+        this.xmlInput = document.getElementById(xmlInputId); // user uploads an XML or glTF scene file
         this.gl = null;     // webgl context
         this.programs = {   // shader program manager 
             rayTrace: null,
+            display: null,  // copies the accumulated image to the canvas
+            copy: null,     // resamples scene textures into the atlas
         };
         this.camera = new Camera(); // our own camera class; handles transformations
         this.controls = new Controls(this);
 
         this.sceneParser = new XMLSceneParser(); // parses XML scene files
+        this.lenientParsing = false; // skip recoverable scene file problems instead of failing
+        this.sceneFileName = null;   // name of the loaded scene file, used when saving
         this.sceneFlattener = null; // flattens the scene into a Float32Array for rendering
         this.sceneTexture = null;
-        this.textures = []          // store WebGLTexture handles 
+        this.meshTexture = null;    // triangle data for mesh primitives
+        this.bvhTexture = null;     // bounding volume hierarchy over the objects
+        this.lightTexture = null;   // lights and emissive objects
+        this.textureAtlas = null;   // TEXTURE_2D_ARRAY, one layer per scene texture
+        this.sceneWarnings = [];    // limits the scene ran into, shown with the status
         this.sceneReady = false;    // whether the scene is ready to be rendered
         this.fullScreenVAO = null;  // vertex array object for full-screen quad rendering
 
         this.maxDepth = 2;         // maximum recursion depth
+        this.useBVH = true;        // false: shader tests every object per ray (debug)
+        this.areaLightSamples = 8; // shadow rays per area light per shading point
+        this.frameIndex = 0;       // seeds the shader's per-pixel random numbers
+
+        // progressive rendering: average jittered samples while nothing changes
+        this.progressive = true;
+        this.maxSamples = 512;      // stop tracing once this many samples are averaged
+        this.sampleCount = 0;       // samples in the current average
+        this.floatTargets = false;  // EXT_color_buffer_float, needed to accumulate
+        this.accumTargets = [];     // two { texture, fbo } float targets to ping-pong
+        this.accumIndex = 0;        // which target holds the current average
+        this._lastCameraState = null;
+
+        this.exporter = new RenderExporter(this); // offline renders at any resolution
+        this.exporting = false;     // live view pauses while an export owns the GPU
+        this.bookmarks = new CameraBookmarks(this); // saved views of the current scene
+        this.sceneEditor = new SceneEditor(this);   // material and transform edits, with undo
 
         this.uniformsLogged = false; // debug
 
@@ -34,6 +84,13 @@ export class WebGLRenderer {
         this.floatsPerRow = 0;
         this.texWidth = 0;
         this.texHeight = 0;
+        this.meshTexWidth = 0;
+        this.bvhTexWidth = 0;
+        this.bvhIndexStart = 0;
+        this.lightTexWidth = 0;
+        this.lightCount = 0;
+        this.emissiveStart = 0;
+        this.emissiveCount = 0;
 
         this.init();
     }
@@ -60,21 +117,30 @@ export class WebGLRenderer {
         }
         this.gl.clearColor(0.1, 0.1, 0.1, 1.0); // background color is dark grey by default 
         this.gl.enable(this.gl.DEPTH_TEST);     // should we leave this on? 
+        this.floatTargets = !!this.gl.getExtension('EXT_color_buffer_float');
+        if (!this.floatTargets) {
+            console.warn('EXT_color_buffer_float not supported, progressive rendering disabled');
+        }
         return true;
     }
 
     async setupShaders() {
         const gl = this.gl;
-        const vsText = await fetch('./shaders/test.vert').then((r) => r.text());
-        const fsText = await fetch('./shaders/test.frag').then((r) => r.text());
-        this.programs.rayTrace = new ShaderProgram(gl, vsText, fsText);
+        for (const [name, [vsFile, fsFile]] of Object.entries(SHADER_FILES)) {
+            const vsText = await fetch(`./shaders/${vsFile}`).then((r) => r.text());
+            const fsText = await fetch(`./shaders/${fsFile}`).then((r) => r.text());
+            this.programs[name] = new ShaderProgram(gl, vsText, fsText);
+        }
     }
 
-    async reloadShaders(name) {
+    async reloadShaders() {
         try {
-            const vsText = await fetch(`./shaders/${name}.vert`).then((r) => r.text());
-            const fsText = await fetch(`./shaders/${name}.frag`).then((r) => r.text());
-            this.programs[name].reload(vsText, fsText);
+            for (const [name, [vsFile, fsFile]] of Object.entries(SHADER_FILES)) {
+                const vsText = await fetch(`./shaders/${vsFile}`).then((r) => r.text());
+                const fsText = await fetch(`./shaders/${fsFile}`).then((r) => r.text());
+                this.programs[name].reload(vsText, fsText);
+            }
+            this.resetAccumulation();
             this.statusElem.textContent = "Shaders reloaded successfully!";
         } catch (error) {
             console.error("Shader reload failed:", error);
@@ -85,88 +151,181 @@ export class WebGLRenderer {
 
     setupEventHandlers() {
         if (this.xmlInput) {
-            this.xmlInput.addEventListener('change', (evt) => this.handleXMLFileInput(evt));
+            this.xmlInput.addEventListener('change', (evt) => this.handleSceneFileInput(evt));
         }
         else {
             console.error('XML input element not found. Please check the HTML.');
             this.statusElem.textContent = 'Error: XML input element not found.';
         }
+        // drop a scene with its assets (files, a folder or a .zip) onto the canvas
+        this.canvas.addEventListener('dragover', (evt) => {
+            evt.preventDefault();
+            this.canvas.classList.add('is-dragover');
+        });
+        this.canvas.addEventListener('dragleave', () => this.canvas.classList.remove('is-dragover'));
+        this.canvas.addEventListener('drop', (evt) => this.handleSceneDrop(evt));
     }
 
-    async handleXMLFileInput(evt) {
+    async handleSceneDrop(evt) {
+        evt.preventDefault();
+        this.canvas.classList.remove('is-dragover');
+        try {
+            const fileSet = await SceneFileSet.fromDataTransfer(evt.dataTransfer);
+            await this.loadScene(fileSet);
+        } catch (e) {
+            console.error('Error reading dropped files:', e);
+            this.statusElem.textContent = 'Error reading dropped files: ' + e.message;
+        }
+    }
+
+    async handleSceneFileInput(evt) {
         const fileList = evt.target.files;
         if (!fileList || fileList.length === 0) {
             this.statusElem.textContent = 'No file selected';
             return;
         }
-        const xmlFile = fileList[0];
-        if (!xmlFile.name.endsWith('.xml')) {
-            this.statusElem.textContent = 'Please select a valid XML file';
+        try {
+            const fileSet = await SceneFileSet.fromFiles(Array.from(fileList));
+            await this.loadScene(fileSet);
+        } catch (e) {
+            console.error('File reading error:', e);
+            this.statusElem.textContent = 'Error reading file: ' + e.message;
+        }
+    }
+
+    /**
+     * Load the scene file of fileSet (the shallowest one if there are several).
+     * Textures and meshes resolve against the set first, then the page URL.
+     */
+    async loadScene(fileSet) {
+        if (this.exporting) {
+            // the export is still sampling the current scene's textures
+            this.statusElem.textContent = 'Wait for the export to finish before loading another scene';
+            return;
+        }
+        const scenePaths = fileSet.getScenePaths();
+        if (scenePaths.length === 0) {
+            this.statusElem.textContent = 'Please select an XML, glTF or GLB scene file';
             return;
         }
+        const scenePath = scenePaths[0];
+        const sceneName = scenePath.split('/').pop();
+        fileSet.setScenePath(scenePath);
 
-        const reader = new FileReader();
-        reader.onload = async (loadEvt) => {
-            try {
-                const xmlText = loadEvt.target.result;
-                this.sceneParser = new XMLSceneParser(); // reset parser for new file
-                const parseOk = await this.sceneParser.parseFromString(xmlText);
-                if (!parseOk) throw new Error('XMLSceneParser error: parsing failed');
-                const rootNode = this.sceneParser.getRootNode();
-
-                // flatten the scene
-                this.sceneFlattener = new SceneFlattener(rootNode);
-                this.sceneFlattener.flatten();
-                const flatArray = this.sceneFlattener.getFloat32Array();
-                const objectCount = this.sceneFlattener.getObjectCount();
-                const floatsPerObject = this.sceneFlattener.floatsPerObject;
-                console.log(`Flatten Array: ${flatArray}`);
-
-                // pass the flattened data to the shader program
-                this.createSceneDataTexture(flatArray, objectCount, floatsPerObject);
-
-                // new in a4: load all PPMs referenced in the scene
-                const gl = this.gl;
-                const maps = this.sceneFlattener.getTextureMaps();
-                this.textures = await Promise.all(maps.map(async (map) => {
-                    const text = await fetch(map.filename).then(r => r.text());
-                    const { tex } = loadPPMFromText(gl, text);
-                    return tex;
-                }));
-
-                // set up the camera
-                this.camera.reset();
-                const cameraData = this.sceneParser.getCameraData();
-                if (cameraData.isDir) {
-                    this.camera.orientLookVec(cameraData.pos, cameraData.look, cameraData.up);
-                    this.controls.updateCameraInfo();
-                }
-                else {
-                    this.camera.orientLookAt(cameraData.pos, cameraData.lookAt, cameraData.up);
-                    this.controls.updateCameraInfo();
-                }
+        try {
+            const buffer = await fileSet.read(scenePath);
+            // reset parser for new file, both kinds build the same scene structures
+            this.sceneWarnings = [];
+            if (scenePaths.length > 1) {
+                this.sceneWarnings.push(`${scenePaths.length} scene files found, loaded ${scenePath}`);
+            }
+            let parseOk;
+            if (sceneName.toLowerCase().endsWith('.xml')) {
+                this.sceneParser = new XMLSceneParser({ lenient: this.lenientParsing });
+                parseOk = await this.sceneParser.parseFromString(new TextDecoder().decode(buffer));
+            } else {
+                this.sceneParser = new GLTFSceneParser({ lenient: this.lenientParsing });
+                parseOk = await this.sceneParser.parseFromBuffer(buffer, sceneName, (uri) => fileSet.read(uri));
+            }
+            const diagnostics = this.sceneParser.getDiagnostics();
+            this.controls.showDiagnostics(diagnostics);
+            const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+            if (!parseOk) {
+                throw new Error(`${errorCount} error(s) in the scene file, see Scene Diagnostics`);
+            }
+            if (diagnostics.length > 0) {
+                this.sceneWarnings.push(`${diagnostics.length} scene file warning(s), see Scene Diagnostics`);
+            }
+            const rootNode = this.sceneParser.getRootNode();
+
+            // flatten the scene
+            this.sceneFlattener = new SceneFlattener(rootNode);
+            this.sceneFlattener.flatten();
+            const flatArray = this.sceneFlattener.getFloat32Array();
+            const objectCount = this.sceneFlattener.getObjectCount();
+            const floatsPerObject = this.sceneFlattener.floatsPerObject;
+            console.log(`Flatten Array: ${flatArray}`);
+
+            // read every texture and OBJ mesh first, so all missing files are listed together
+            // images stored inside the scene file (glb) and glTF meshes come with the parser
+            const maps = this.sceneFlattener.getTextureMaps();
+            const images = this.sceneParser.getImages();
+            const meshFiles = this.sceneFlattener.getMeshFiles();
+            const preloaded = this.sceneParser.getMeshes();
+            const missing = [];
+            const readAsset = (name) => fileSet.read(name).catch((e) => {
+                missing.push({
+                    severity: 'error',
+                    message: `Missing asset ${name}: ${e.message}`,
+                    path: '',
+                    line: null,
+                    column: null
+                });
+                return null;
+            });
+            const [textureFiles, meshBuffers] = await Promise.all([
+                Promise.all(maps.map((map) => images[map.filename] || readAsset(map.filename))),
+                Promise.all(meshFiles.map((file) => preloaded[file] ? null : readAsset(file)))
+            ]);
+            if (missing.length > 0) {
+                this.controls.showDiagnostics([...diagnostics, ...missing]);
+                throw new Error(`${missing.length} missing asset(s), see Scene Diagnostics`);
+            }
+
+            // pass the flattened data to the shader program
+            this.createSceneDataTexture(flatArray, objectCount, floatsPerObject);
+
+            // new in a4: load all textures referenced in the scene
+            const gl = this.gl;
+            const textures = await Promise.all(maps.map((map, i) =>
+                loadTextureFromBytes(gl, textureFiles[i], map.filename, map.colorSpace)));
+            this.createTextureAtlas(textures);
+
+            const meshes = meshFiles.map((file, i) =>
+                preloaded[file] || loadOBJFromText(new TextDecoder().decode(meshBuffers[i])));
+            this.createMeshDataTexture(this.sceneFlattener.packMeshes(meshes));
 
-                // // new in a4: load scene textures from parser 
-                // const texImages = this.sceneParser.getTextures();
-                // this.textures = [];
-                // texImages.forEach((img, ti))
+            // BVH needs the mesh bounds, so build it once the meshes are in
+            this.createBVHDataTexture(this.sceneFlattener.buildBVH());
 
-                this.sceneReady = true;
-                this.statusElem.textContent = `Scene loaded successfully: ${objectCount} objects, ${floatsPerObject} floats per object`;
-            } catch (e) {
-                console.error('Error loading or flattening scene:', e);
-                this.statusElem.textContent = 'Error loading scene: ' + e.message;
+            this.createLightDataTexture(this.sceneParser.getLights());
+
+            // set up the camera
+            this.camera.reset();
+            const cameraData = this.sceneParser.getCameraData();
+            this.camera.setAperture(cameraData.aperture);
+            this.camera.setFocalLength(cameraData.focalLength);
+            if (cameraData.isDir) {
+                this.camera.orientLookVec(cameraData.pos, cameraData.look, cameraData.up);
+                this.controls.updateCameraInfo();
             }
-        };
-        reader.onerror = (err) => {
-            console.error('File reading error:', err);
-            this.statusElem.textContent = 'Error reading file: ' + err.message;
-        };
-        reader.readAsText(xmlFile);
+            else {
+                this.camera.orientLookAt(cameraData.pos, cameraData.lookAt, cameraData.up);
+                this.controls.updateCameraInfo();
+            }
+            this.controls.setOrbitTarget(this.orbitTargetFor(cameraData));
+
+            this.resetAccumulation();
+            this.sceneFileName = sceneName;
+            this.bookmarks.setScene(sceneName);
+            this.controls.showBookmarks();
+            this.controls.enableSaveScene(this.embeddedAssets().length === 0);
+            this.sceneEditor.reset();
+            this.controls.showSceneTree();
+            this.sceneReady = true;
+            this.setStatus(`Scene loaded successfully: ${objectCount} objects, ${floatsPerObject} floats per object`);
+        } catch (e) {
+            console.error('Error loading or flattening scene:', e);
+            this.statusElem.textContent = 'Error loading scene: ' + e.message;
+        }
     }
 
     createSceneDataTexture(flatArray, objectCount, floatsPerObject) {
         const gl = this.gl;
+        const maxRows = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        if (objectCount > maxRows) {
+            throw new Error(`scene has ${objectCount} objects, this GPU supports at most ${maxRows}`);
+        }
         // Make sure each row is a multiple of 4 floats (for RGBA32F)
         const floatsPerRow = Math.ceil(floatsPerObject / 4) * 4;
         const texWidth = floatsPerRow / 4;
@@ -214,6 +373,184 @@ export class WebGLRenderer {
         this.texHeight = texHeight;
     }
 
+    // copy the given object rows (ascending) of flatArray into the scene texture,
+    // one texSubImage2D per run of neighbouring rows
+    updateSceneDataRows(flatArray, rows) {
+        const gl = this.gl;
+        const fpo = this.floatsPerObject;
+        gl.bindTexture(gl.TEXTURE_2D, this.sceneTexture);
+        for (let start = 0; start < rows.length;) {
+            let end = start + 1;
+            while (end < rows.length && rows[end] === rows[end - 1] + 1) end++;
+            const first = rows[start];
+            const count = end - start;
+            const data = new Float32Array(count * this.floatsPerRow);
+            for (let k = 0; k < count; k++) {
+                const srcOffset = (first + k) * fpo;
+                data.set(flatArray.subarray(srcOffset, srcOffset + fpo), k * this.floatsPerRow);
+            }
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, first, this.texWidth, count, gl.RGBA, gl.FLOAT, data);
+            start = end;
+        }
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
+    // flatten again after the parsed scene was edited and upload only what changed:
+    // the rows of the changed objects, the BVH if one moved, the lights if the set of glowing objects changed
+    updateSceneData() {
+        const flattener = this.sceneFlattener;
+        if (!this.sceneReady || !flattener) return;
+        const oldArray = flattener.getFloat32Array();
+        const oldEmissive = flattener.getEmissiveObjects().join();
+        flattener.flatten();
+        const newArray = flattener.getFloat32Array();
+
+        // the matrices come right after the type float, so the first difference tells if an object moved
+        const fpo = this.floatsPerObject;
+        const rows = [];
+        let moved = false;
+        for (let i = 0; i < this.objectCount; i++) {
+            const offset = i * fpo;
+            let changed = false;
+            for (let j = 0; j < fpo; j++) {
+                if (oldArray[offset + j] !== newArray[offset + j]) {
+                    changed = true;
+                    if (j >= 1 && j < 33) moved = true;
+                    break;
+                }
+            }
+            if (changed) rows.push(i);
+        }
+
+        this.updateSceneDataRows(newArray, rows);
+        if (moved) {
+            this.createBVHDataTexture(flattener.buildBVH());
+        }
+        if (flattener.getEmissiveObjects().join() !== oldEmissive) {
+            this.createLightDataTexture(this.sceneParser.getLights());
+        }
+        this.resetAccumulation();
+    }
+
+    // upload a Float32Array that holds whole rows of texWidth RGBA32F texels
+    // what names the data in the error thrown when it is too big for the GPU
+    createLinearDataTexture(floatArray, texWidth, what) {
+        const gl = this.gl;
+        const texHeight = floatArray.length / (texWidth * 4);
+        const maxRows = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        if (texHeight > maxRows) {
+            throw new Error(`${what} needs ${texHeight} texture rows, this GPU supports at most ${maxRows}`);
+        }
+        const tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texImage2D(
+            gl.TEXTURE_2D,
+            0,
+            gl.RGBA32F,
+            texWidth,
+            texHeight,
+            0,
+            gl.RGBA,
+            gl.FLOAT,
+            floatArray
+        );
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        return tex;
+    }
+
+    createMeshDataTexture(meshArray) {
+        if (this.meshTexture) this.gl.deleteTexture(this.meshTexture);
+        this.meshTexWidth = this.sceneFlattener.meshTexWidth;
+        this.meshTexture = this.createLinearDataTexture(meshArray, this.meshTexWidth, 'mesh data');
+    }
+
+    createBVHDataTexture(bvhArray) {
+        if (this.bvhTexture) this.gl.deleteTexture(this.bvhTexture);
+        this.bvhTexWidth = this.sceneFlattener.bvhTexWidth;
+        this.bvhIndexStart = this.sceneFlattener.bvhNodeCount * 2; // 2 texels per node
+        this.bvhTexture = this.createLinearDataTexture(bvhArray, this.bvhTexWidth, 'BVH');
+    }
+
+    createLightDataTexture(lights) {
+        if (this.lightTexture) this.gl.deleteTexture(this.lightTexture);
+        const lightArray = this.sceneFlattener.packLights(lights);
+        this.lightTexWidth = this.sceneFlattener.lightTexWidth;
+        this.lightCount = this.sceneFlattener.lightCount;
+        this.emissiveStart = this.sceneFlattener.emissiveStart;
+        this.emissiveCount = this.sceneFlattener.getEmissiveObjects().length;
+        this.lightTexture = this.createLinearDataTexture(lightArray, this.lightTexWidth, 'light data');
+    }
+
+    // resample every scene texture into one layer of a TEXTURE_2D_ARRAY, so the shader
+    // needs a single sampler however many textures there are
+    // textures: { tex, width, height } from textureLoader.js, deleted once copied
+    createTextureAtlas(textures) {
+        const gl = this.gl;
+        if (this.textureAtlas) gl.deleteTexture(this.textureAtlas);
+        this.textureAtlas = null;
+
+        const layers = Math.max(textures.length, 1); // keep a layer so the sampler is always valid
+        const maxLayers = gl.getParameter(gl.MAX_ARRAY_TEXTURE_LAYERS);
+        if (layers > maxLayers) {
+            throw new Error(`scene uses ${textures.length} textures, this GPU supports at most ${maxLayers}`);
+        }
+
+        // the largest texture sets the layer size, as far as the GPU and the memory budget allow
+        const bytesPerTexel = this.floatTargets ? 8 : 4;
+        let maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        while (maxSize > 1 && layers * maxSize * maxSize * bytesPerTexel > ATLAS_MEMORY_BUDGET) {
+            maxSize >>= 1;
+        }
+        let size = textures.reduce((s, t) => Math.max(s, t.width, t.height), 1);
+        if (size > maxSize) {
+            this.sceneWarnings.push(`textures downscaled from ${size}×${size} to ${maxSize}×${maxSize} to fit in GPU memory`);
+            size = maxSize;
+        }
+
+        // half floats keep 16-bit and sRGB-decoded texels precise, but need float render targets
+        // without them SRGB8_ALPHA8 re-encodes what the copy writes, so dark tones don't band
+        // like they would in linear 8-bit, and sampling decodes back to linear
+        const atlas = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, atlas);
+        gl.texStorage3D(gl.TEXTURE_2D_ARRAY, Math.floor(Math.log2(size)) + 1,
+            this.floatTargets ? gl.RGBA16F : gl.SRGB8_ALPHA8, size, size, layers);
+
+        const fbo = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+        gl.viewport(0, 0, size, size);
+        gl.useProgram(this.programs.copy.program);
+        gl.uniform2f(this.programs.copy.getUniformLocation('uSize'), size, size);
+        this.programs.copy.setInteger('uSource', 0);
+        try {
+            textures.forEach((t, layer) => {
+                gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, atlas, 0, layer);
+                if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+                    throw new Error('could not render into the texture atlas');
+                }
+                gl.activeTexture(gl.TEXTURE0);
+                gl.bindTexture(gl.TEXTURE_2D, t.tex);
+                this.drawFullScreen();
+            });
+        } finally {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.deleteFramebuffer(fbo);
+            textures.forEach(t => gl.deleteTexture(t.tex));
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, atlas);
+        gl.generateMipmap(gl.TEXTURE_2D_ARRAY);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, null);
+        this.textureAtlas = atlas;
+    }
+
     setupFullScreenTriangle() {
         const gl = this.gl;
         const vao = gl.createVertexArray();
@@ -242,10 +579,14 @@ export class WebGLRenderer {
         console.log('uCameraPos        =', read('uCameraPos'));
         console.log('uInvProjView      =', read('uInvProjView'));
         console.log('uCamWorldMatrix   =', read('uCamWorldMatrix'));
+        console.log('uAperture         =', read('uAperture'));
+        console.log('uFocalLength      =', read('uFocalLength'));
         console.log('uGlobalKa         =', read('uGlobalKa'));
         console.log('uGlobalKd         =', read('uGlobalKd'));
         console.log('uGlobalKs         =', read('uGlobalKs'));
         console.log('uGlobalKt         =', read('uGlobalKt'));
+        console.log('uAreaLightSamples =', read('uAreaLightSamples'));
+        console.log('uFrameIndex       =', read('uFrameIndex'));
 
         // Scene texture
         console.log('uSceneBuffer      =', read('uSceneBuffer'));
@@ -255,23 +596,20 @@ export class WebGLRenderer {
         console.log('uFloatsPerRow     =', read('uFloatsPerRow'));
         console.log('uSceneTexWidth    =', read('uSceneTexWidth'));
         console.log('uSceneTexHeight   =', read('uSceneTexHeight'));
+        console.log('uMeshBuffer       =', read('uMeshBuffer'));
+        console.log('uMeshTexWidth     =', read('uMeshTexWidth'));
+        console.log('uBVHBuffer        =', read('uBVHBuffer'));
+        console.log('uBVHIndexStart    =', read('uBVHIndexStart'));
+        console.log('uUseBVH           =', read('uUseBVH'));
+        console.log('uDebugView        =', read('uDebugView'));
 
         // lights
-        const numLights = read('uNumLights');
-        console.log('uNumLights        =', numLights);
-        for (let i = 0; i < (numLights || 0) && i < 16; i++) {
-            console.group(`--- Light[${i}] ---`);
-            console.log(`uLightType[${i}]    =`, read(`uLightType[${i}]`));
-            console.log(`uLightColor[${i}]   =`, read(`uLightColor[${i}]`));
-            console.log(`uLightPos[${i}]     =`, read(`uLightPos[${i}]`));
-            console.log(`uLightDir[${i}]     =`, read(`uLightDir[${i}]`));
-            console.log(`uLightRadius[${i}]  =`, read(`uLightRadius[${i}]`));
-            console.log(`uLightPenumbra[${i}] =`, read(`uLightPenumbra[${i}]`));
-            console.log(`uLightAngle[${i}]    =`, read(`uLightAngle[${i}]`));
-            console.log(`uLightWidth[${i}]    =`, read(`uLightWidth[${i}]`));
-            console.log(`uLightHeight[${i}]   =`, read(`uLightHeight[${i}]`));
-            console.groupEnd();
-        }
+        console.log('uLightBuffer      =', read('uLightBuffer'));
+        console.log('uLightTexWidth    =', read('uLightTexWidth'));
+        console.log('uNumLights        =', read('uNumLights'));
+        console.log('uEmissiveStart    =', read('uEmissiveStart'));
+        console.log('uEmissiveCount    =', read('uEmissiveCount'));
+        console.log('lights            =', this.sceneParser.getLights());
         console.groupEnd();
     }
 
@@ -297,36 +635,250 @@ export class WebGLRenderer {
     resetScene() {
         this.camera.reset();
         const cam = this.sceneParser.getCameraData();
+        this.camera.setAperture(cam.aperture);
+        this.camera.setFocalLength(cam.focalLength);
         if (cam.isDir) {
             this.camera.orientLookVec(cam.pos, cam.look, cam.up);
         } else {
             this.camera.orientLookAt(cam.pos, cam.lookAt, cam.up);
         }
+        this.controls.setOrbitTarget(this.orbitTargetFor(cam));
         this.controls.updateCameraInfo();
     }
 
+    // what mouse navigation orbits around: the focus point if the scene has one, else the
+    // point on the view ray closest to the origin (scenes are built around it), at least 1 ahead
+    orbitTargetFor(cameraData) {
+        if (!cameraData.isDir) {
+            return vec3.clone(cameraData.lookAt);
+        }
+        const look = vec3.normalize(vec3.create(), cameraData.look);
+        const distance = Math.max(-vec3.dot(cameraData.pos, look), 1.0);
+        return vec3.scaleAndAdd(vec3.create(), cameraData.pos, look, distance);
+    }
+
+    // trace the pinhole ray through canvas pixel (x, y), measured from the top left,
+    // returns null for the background, else { index, t, object } with the flattened object
+    pick(x, y) {
+        const gl = this.gl;
+        if (!this.sceneReady) return null;
+        if (!this.floatTargets) throw new Error('picking needs float render targets (EXT_color_buffer_float)');
+
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const target = this.createFloatTarget(1, 1);
+        const result = new Float32Array(4);
+        try {
+            // a one pixel tile of the live image, gl rows go bottom to top
+            gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+            gl.viewport(0, 0, 1, 1);
+            this.setTraceUniforms(width, height, 0, [0, 0], null, [Math.floor(x), height - 1 - Math.floor(y)]);
+            this.programs.rayTrace.setInteger('uDebugView', DEBUG_PICK);
+            this.programs.rayTrace.setFloat('uAperture', 0); // the center ray, not a lens sample
+            this.drawFullScreen();
+            gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.FLOAT, result);
+        } finally {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            this.deleteFloatTarget(target);
+        }
+
+        const index = Math.round(result[0]);
+        if (index < 0) return null;
+        return { index, t: result[1], object: this.sceneFlattener.getObject(index) };
+    }
+
+    // write the loaded scene back to XML and download it, optionally with the current camera pose
+    saveScene(useCurrentCamera) {
+        if (!this.sceneReady) {
+            this.statusElem.textContent = 'No scene loaded to save';
+            return;
+        }
+        const embedded = this.embeddedAssets();
+        if (embedded.length > 0) {
+            this.statusElem.textContent = `Can't save as XML: ${embedded[0]} only exists inside ${this.sceneFileName}`;
+            return;
+        }
+        try {
+            const writer = new XMLSceneWriter(this.sceneParser);
+            const xmlText = writer.writeToString({ camera: useCurrentCamera ? this.camera : null });
+            const filename = this.sceneFileName.replace(/\.(xml|gltf|glb)$/i, '') + '-saved.xml';
+            this.exporter.download(new Blob([xmlText], { type: 'application/xml' }), filename);
+            this.statusElem.textContent = `Scene saved as ${filename}`;
+        } catch (e) {
+            console.error('Saving scene failed:', e);
+            this.statusElem.textContent = 'Saving scene failed: ' + e.message;
+        }
+    }
+
+    // meshes and images the scene uses that live inside its glTF file, an XML can't refer to those
+    embeddedAssets() {
+        const meshes = this.sceneParser.getMeshes();
+        const images = this.sceneParser.getImages();
+        return [
+            ...this.sceneFlattener.getMeshFiles().filter(name => meshes[name]),
+            ...this.sceneFlattener.getTextureMaps().map(map => map.filename).filter(name => images[name])
+        ];
+    }
+
+    // show text in the status bar, followed by any limits the scene ran into
+    setStatus(text) {
+        this.statusElem.textContent = this.sceneWarnings.length
+            ? `${text} — warning: ${this.sceneWarnings.join('; ')}`
+            : text;
+    }
+
+    // restart the progressive average, e.g. after a control or the scene changed
+    resetAccumulation() {
+        this.sampleCount = 0;
+    }
+
+    // compare the camera against the last frame, true if it moved or zoomed
+    _cameraChanged() {
+        const state = [
+            ...this.camera.getInverseModelViewMatrix(),
+            this.camera.viewAngle,
+            this.camera.nearPlane,
+            this.camera.farPlane
+        ];
+        state.push(this.camera.aperture, this.camera.focalLength);
+        const last = this._lastCameraState;
+        this._lastCameraState = state;
+        return !last || state.some((v, i) => v !== last[i]);
+    }
+
+    // float color texture + framebuffer to render samples into
+    createFloatTarget(width, height) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+
+        const fbo = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return { texture, fbo, width, height };
+    }
+
+    deleteFloatTarget(target) {
+        this.gl.deleteFramebuffer(target.fbo);
+        this.gl.deleteTexture(target.texture);
+    }
+
+    // (re)create the ping-pong targets when the canvas size changes
+    // returns false if float render targets aren't available
+    ensureAccumulationTargets(width, height) {
+        if (!this.floatTargets) return false;
+        const current = this.accumTargets[0];
+        if (current && current.width === width && current.height === height) return true;
+
+        this.accumTargets.forEach(t => this.deleteFloatTarget(t));
+        this.accumTargets = [this.createFloatTarget(width, height), this.createFloatTarget(width, height)];
+        this.accumIndex = 0;
+        this.resetAccumulation();
+        return true;
+    }
+
     renderFrame() {
         //console.log("rendering frame");
 
         const gl = this.gl;
+        if (this.exporting) return;
         this.resizeCanvasToDisplaySize();
-        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
         if (!this.sceneReady) {
+            gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
             this.statusElem.textContent = 'Waiting for scene to load...';
             return;
         }
-        this.statusElem.textContent = 'Rendering...';
 
-        // Use the ray tracing shader program
-        this.gl.useProgram(this.programs.rayTrace.program);
+        // any camera movement starts a new average
+        if (this._cameraChanged()) {
+            this.resetAccumulation();
+        }
 
         const width = this.canvas.width;
         const height = this.canvas.height;
+        if (!this.ensureAccumulationTargets(width, height)) {
+            // no float targets: trace straight into the canvas every frame
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.viewport(0, 0, width, height);
+            gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+            this.setTraceUniforms(width, height, 0, [0, 0], null);
+            this.drawFullScreen();
+            this.setStatus('Rendering...');
+            return;
+        }
+
+        if (this.progressive && this.sampleCount >= this.maxSamples) {
+            // converged: leave the canvas showing the last frame
+            this.setStatus(`Done: ${this.sampleCount} samples`);
+            return;
+        }
+
+        // the first sample goes through pixel centers, later ones are jittered
+        const sampleCount = this.progressive ? this.sampleCount : 0;
+        const jitter = sampleCount > 0 ? [Math.random() - 0.5, Math.random() - 0.5] : [0, 0];
+        const prev = this.accumTargets[this.accumIndex];
+        const next = this.accumTargets[1 - this.accumIndex];
+
+        // trace one sample per pixel and blend it into the running average
+        gl.bindFramebuffer(gl.FRAMEBUFFER, next.fbo);
+        gl.viewport(0, 0, width, height);
+        this.setTraceUniforms(width, height, sampleCount, jitter, prev.texture);
+        this.drawFullScreen();
+        this.accumIndex = 1 - this.accumIndex;
+
+        // show the average on the canvas
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, width, height);
+        this.displayTexture(next.texture);
+
+        if (this.progressive) {
+            this.sampleCount++;
+            this.setStatus(`Rendering... ${this.sampleCount}/${this.maxSamples} samples`);
+        } else {
+            this.setStatus('Rendering...');
+        }
+    }
+
+    // copy a float image to the currently bound framebuffer
+    displayTexture(texture) {
+        const gl = this.gl;
+        gl.useProgram(this.programs.display.program);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        this.programs.display.setInteger('uImage', 0);
+        this.drawFullScreen();
+    }
+
+    drawFullScreen() {
+        const gl = this.gl;
+        gl.bindVertexArray(this.fullScreenVAO);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+        gl.bindVertexArray(null);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
+    // set every uniform of the ray tracing program
+    // sampleCount: samples already averaged in accumTexture (0 starts over)
+    // jitter: subpixel offset of the camera rays, in pixels
+    // tileOffset: where the viewport sits in the width x height image when rendering tiles
+    setTraceUniforms(width, height, sampleCount, jitter, accumTexture, tileOffset = [0, 0]) {
+        const gl = this.gl;
+
+        // Use the ray tracing shader program
+        this.gl.useProgram(this.programs.rayTrace.program);
+
         const uResolutionLoc = this.programs.rayTrace.getUniformLocation('uResolution');
         gl.uniform2f(uResolutionLoc, width, height);
 
         // Camera
-        this.camera.setScreenSize(this.canvas.width, this.canvas.height);
+        this.camera.setScreenSize(width, height);
         const MV = mat4.create();
         mat4.multiply(MV, this.camera.getScaleMatrix(), this.camera.getModelViewMatrix());
         const invMV = mat4.create();
@@ -336,6 +888,17 @@ export class WebGLRenderer {
         this.programs.rayTrace.setVector3('uCameraPos', camPos);
         this.programs.rayTrace.setMatrix4('uCamWorldMatrix', invMV);
 
+        // Thin lens
+        const look = vec3.normalize(vec3.create(), this.camera.getLookVector());
+        const right = vec3.cross(vec3.create(), look, this.camera.getUpVector());
+        vec3.normalize(right, right);
+        const up = vec3.cross(vec3.create(), right, look);
+        this.programs.rayTrace.setVector3('uCameraLook', look);
+        this.programs.rayTrace.setVector3('uCameraUp', up);
+        this.programs.rayTrace.setVector3('uCameraRight', right);
+        this.programs.rayTrace.setFloat('uAperture', this.camera.getAperture());
+        this.programs.rayTrace.setFloat('uFocalLength', this.camera.getFocalLength());
+
         // Global coefficients
         const globalData = this.sceneParser.getGlobalData();
         // console.log("globalssssssss:", globalData);
@@ -350,12 +913,41 @@ export class WebGLRenderer {
             this.maxDepth
         );
 
-        // Bind each ppm texture into units 1 2 3 etc
-        this.textures.forEach((tex, i) => {
-            gl.activeTexture(gl.TEXTURE1 + i);
-            gl.bindTexture(gl.TEXTURE_2D, tex);
-            this.programs.rayTrace.setInteger(`uTextures[${i}]`, 1 + i);
-        });
+        // Sampling
+        this.frameIndex = sampleCount;
+        this.programs.rayTrace.setInteger('uAreaLightSamples', this.areaLightSamples);
+        this.programs.rayTrace.setInteger('uFrameIndex', this.frameIndex);
+
+        // Progressive accumulation
+        gl.activeTexture(gl.TEXTURE0 + ACCUM_TEXTURE_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, accumTexture);
+        this.programs.rayTrace.setInteger('uAccumBuffer', ACCUM_TEXTURE_UNIT);
+        this.programs.rayTrace.setInteger('uSampleCount', sampleCount);
+        gl.uniform2f(this.programs.rayTrace.getUniformLocation('uJitter'), jitter[0], jitter[1]);
+        gl.uniform2f(this.programs.rayTrace.getUniformLocation('uTileOffset'), tileOffset[0], tileOffset[1]);
+
+        // Scene textures, one atlas layer each
+        gl.activeTexture(gl.TEXTURE0 + TEXTURE_ATLAS_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.textureAtlas);
+        this.programs.rayTrace.setInteger('uTextureAtlas', TEXTURE_ATLAS_UNIT);
+
+        // Mesh triangles
+        gl.activeTexture(gl.TEXTURE0 + MESH_TEXTURE_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, this.meshTexture);
+        this.programs.rayTrace.setInteger('uMeshBuffer', MESH_TEXTURE_UNIT);
+        this.programs.rayTrace.setInteger('uMeshTexWidth', this.meshTexWidth);
+
+        // BVH
+        gl.activeTexture(gl.TEXTURE0 + BVH_TEXTURE_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, this.bvhTexture);
+        this.programs.rayTrace.setInteger('uBVHBuffer', BVH_TEXTURE_UNIT);
+        this.programs.rayTrace.setInteger('uBVHTexWidth', this.bvhTexWidth);
+        this.programs.rayTrace.setInteger('uBVHIndexStart', this.bvhIndexStart);
+        this.programs.rayTrace.setInteger('uUseBVH', this.useBVH ? 1 : 0);
+
+        // Debug views replace shading with what the primary ray found
+        this.programs.rayTrace.setInteger('uDebugView', this.controls.isectOnly ? this.controls.debugView : 0);
+        this.programs.rayTrace.setFloat('uFarPlane', this.camera.getFarPlane());
 
         // Scene Texture
         gl.activeTexture(gl.TEXTURE0);
@@ -368,32 +960,19 @@ export class WebGLRenderer {
         this.programs.rayTrace.setInteger('uSceneTexWidth', this.texWidth);
         this.programs.rayTrace.setInteger('uSceneTexHeight', this.texHeight);
 
-        // Lights
-        const lights = this.sceneParser.getLights();
-        const numLights = lights.length;
-        this.programs.rayTrace.setInteger('uNumLights', numLights);
-        for (let i = 0; i < numLights && i < 16; i++) {
-            const L = lights[i];
-            this.programs.rayTrace.setInteger(`uLightType[${i}]`, L.type);
-            this.programs.rayTrace.setVector3(`uLightColor[${i}]`, [L.color.r, L.color.g, L.color.b]);
-            this.programs.rayTrace.setVector3(`uLightPos[${i}]`, L.pos);
-            this.programs.rayTrace.setVector3(`uLightDir[${i}]`, L.dir);
-            this.programs.rayTrace.setFloat(`uLightRadius[${i}]`, L.radius);
-            this.programs.rayTrace.setFloat(`uLightPenumbra[${i}]`, L.penumbra);
-            this.programs.rayTrace.setFloat(`uLightAngle[${i}]`, L.angle);
-            this.programs.rayTrace.setFloat(`uLightWidth[${i}]`, L.width);
-            this.programs.rayTrace.setFloat(`uLightHeight[${i}]`, L.height);
-        }
+        // Lights, followed by the emissive objects that double as lights whenever samples get averaged
+        gl.activeTexture(gl.TEXTURE0 + LIGHT_TEXTURE_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, this.lightTexture);
+        this.programs.rayTrace.setInteger('uLightBuffer', LIGHT_TEXTURE_UNIT);
+        this.programs.rayTrace.setInteger('uLightTexWidth', this.lightTexWidth);
+        this.programs.rayTrace.setInteger('uNumLights', this.lightCount);
+        this.programs.rayTrace.setInteger('uSampleEmissive', (this.progressive || this.exporting) ? 1 : 0);
+        this.programs.rayTrace.setInteger('uEmissiveStart', this.emissiveStart);
+        this.programs.rayTrace.setInteger('uEmissiveCount', this.emissiveCount);
 
         if (!this.uniformsLogged) {
             this._logAllUniforms();
             this.uniformsLogged = true;
         }
-
-        // Draw the full-screen triangle
-        gl.bindVertexArray(this.fullScreenVAO);
-        gl.drawArrays(gl.TRIANGLES, 0, 3);
-        gl.bindVertexArray(null);
-        gl.bindTexture(gl.TEXTURE_2D, null);
     }
 }
\ No newline at end of file
@@ -0,0 +1,62 @@
+const MAX_UNDO = 200; // edits kept for undo
+
+// edits to the parsed scene, one number at a time, with undo / redo
+// a target is anything holding a number: a SceneMaterial, one of its colors or maps,
+// a SceneTransformation or its translate / rotate / scale / matrix array
+export class SceneEditor {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.undoStack = []; // [{ target, key, before, after }], newest last
+        this.redoStack = [];
+    }
+
+    // forget the history, e.g. when another scene is loaded
+    reset() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // set target[key] = value and show it in the next frame
+    // edits wait while an export is running, its tiles must all see the same scene
+    set(target, key, value) {
+        if (this.renderer.exporting) return;
+        if (!Number.isFinite(value)) throw new Error(`${value} is not a number`);
+        if (target[key] === value) return;
+        const edit = { target, key, before: target[key], after: value };
+        this.undoStack.push(edit);
+        if (this.undoStack.length > MAX_UNDO) this.undoStack.shift();
+        this.redoStack = [];
+        this._apply(target, key, value);
+    }
+
+    undo() {
+        if (this.renderer.exporting) return false;
+        const edit = this.undoStack.pop();
+        if (!edit) return false;
+        this.redoStack.push(edit);
+        this._apply(edit.target, edit.key, edit.before);
+        return true;
+    }
+
+    redo() {
+        if (this.renderer.exporting) return false;
+        const edit = this.redoStack.pop();
+        if (!edit) return false;
+        this.undoStack.push(edit);
+        this._apply(edit.target, edit.key, edit.after);
+        return true;
+    }
+
+    _apply(target, key, value) {
+        target[key] = value;
+        this.renderer.updateSceneData();
+    }
+}
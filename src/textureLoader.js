@@ -0,0 +1,76 @@
+import { loadPPM } from './ppm.js';
+
+// textureLoader.js: loads an image file into a texture, picking the decoder from the
+// file's magic bytes (or its extension when they are not recognised)
+// netpbm goes through ppm.js, everything else through the browser's image decoders
+
+const EXTENSION_FORMATS = {
+    ppm: 'ppm', pgm: 'ppm', pnm: 'ppm',
+    png: 'image', jpg: 'image', jpeg: 'image', webp: 'image', gif: 'image', bmp: 'image'
+};
+
+// 'ppm', 'image' or null
+function detectFormat(bytes, filename) {
+    const startsWith = (...sig) => sig.every((b, i) => bytes[i] === b);
+    if (bytes.length >= 2 && bytes[0] === 0x50 && bytes[1] >= 0x31 && bytes[1] <= 0x36) return 'ppm'; // P1..P6
+    if (startsWith(0x89, 0x50, 0x4e, 0x47)) return 'image';                     // PNG
+    if (startsWith(0xff, 0xd8, 0xff)) return 'image';                           // JPEG
+    if (startsWith(0x52, 0x49, 0x46, 0x46) &&                                   // RIFF....WEBP
+        bytes[8] === 0x57 && bytes[9] === 0x45 && bytes[10] === 0x42 && bytes[11] === 0x50) return 'image';
+    if (startsWith(0x47, 0x49, 0x46, 0x38)) return 'image';                     // GIF8
+    if (startsWith(0x42, 0x4d)) return 'image';                                 // BM
+    const ext = filename.split('?')[0].split('.').pop().toLowerCase();
+    return EXTENSION_FORMATS[ext] || null;
+}
+
+// decode an already loaded file, filename is only used for the extension and messages
+// colorSpace: 'linear' uses the texels as stored, 'srgb' decodes them to linear when sampled
+// resolves to { tex, width, height }
+export async function loadTextureFromBytes(gl, buffer, filename, colorSpace = 'linear') {
+    const bytes = new Uint8Array(buffer);
+    const srgb = colorSpace === 'srgb';
+    switch (detectFormat(bytes, filename)) {
+        case 'ppm': {
+            const { tex, width, height } = loadPPM(gl, bytes, { srgb });
+            return { tex, width, height };
+        }
+        case 'image':
+            return loadImage(gl, bytes, srgb);
+        default:
+            throw new Error(`Unsupported texture format: ${filename}`);
+    }
+}
+
+// png/jpeg/webp etc. through createImageBitmap
+async function loadImage(gl, bytes, srgb) {
+    // keep the stored values: no color management, no premultiplied alpha
+    const bitmap = await createImageBitmap(new Blob([bytes]), {
+        colorSpaceConversion: 'none',
+        premultiplyAlpha: 'none'
+    });
+    const { width, height } = bitmap;
+
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texImage2D(
+        gl.TEXTURE_2D, 0, srgb ? gl.SRGB8_ALPHA8 : gl.RGBA8,
+        gl.RGBA, gl.UNSIGNED_BYTE,
+        bitmap
+    );
+    bitmap.close();
+
+    // same sampling as ppm.js: mipmaps and repeat for POT sizes only
+    const isPow2 = v => (v & (v - 1)) === 0;
+    if (isPow2(width) && isPow2(height)) {
+        gl.generateMipmap(gl.TEXTURE_2D);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+    } else {
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    }
+    return { tex, width, height };
+}
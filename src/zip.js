@@ -0,0 +1,78 @@
+// zip.js: reads .zip archives in the browser, deflate goes through DecompressionStream
+// only stored and deflated entries of plain (non zip64, unencrypted) archives are supported
+
+const EOCD_SIGNATURE = 0x06054b50;    // end of central directory
+const CENTRAL_SIGNATURE = 0x02014b50; // central directory file header
+const LOCAL_SIGNATURE = 0x04034b50;   // local file header
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// inflate a raw deflate stream (no zlib header), as zip stores it
+async function inflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// unpack every file of the archive in buffer (ArrayBuffer)
+// resolves to a Map path → Uint8Array, directories are left out
+export async function unzip(buffer) {
+    const view = new DataView(buffer);
+
+    // the end of central directory record sits at the end, before an optional comment
+    let eocd = -1;
+    const lowest = Math.max(0, buffer.byteLength - 22 - 0xffff);
+    for (let i = buffer.byteLength - 22; i >= lowest; i--) {
+        if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('Not a zip file (no end of central directory)');
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (entryCount === 0xffff || offset === 0xffffffff) throw new Error('zip64 archives are not supported');
+
+    const decoder = new TextDecoder();
+    const files = new Map();
+    for (let n = 0; n < entryCount; n++) {
+        if (offset + 46 > buffer.byteLength || view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+            throw new Error('Corrupt zip central directory');
+        }
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue; // directory
+        if (flags & 1) throw new Error(`${name} is encrypted`);
+        if (compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+            throw new Error('zip64 archives are not supported');
+        }
+        if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) {
+            throw new Error(`Corrupt zip entry ${name}`);
+        }
+        // the local header repeats name and extra field, with its own lengths
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        if (dataStart + compressedSize > buffer.byteLength) throw new Error(`Truncated zip entry ${name}`);
+        const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+        let bytes;
+        if (method === METHOD_STORED) {
+            bytes = data.slice();
+        } else if (method === METHOD_DEFLATE) {
+            bytes = await inflateRaw(data);
+        } else {
+            throw new Error(`${name} uses unsupported compression method ${method}`);
+        }
+        if (bytes.length !== size) throw new Error(`${name} unpacked to the wrong size`);
+        files.set(name, bytes);
+    }
+    return files;
+}